@@ -27,10 +27,34 @@ var Projector = new Class({
         target: null,
         // Optional: (Array) An array of slide objects, see slide class for details. If not present, direct children of the container will be used in place. NB: The queue is accessed using mutators during load and cannot be relied upon as a public data reference.
         queue: null,
+        // Optional: (String || Object) URL of a remote slide source, or a ProjectorNS.Source instance, used to fill the queue when no queue is passed in.
+        source: null,
+        // Optional: (String) Adapter used to read the source, must map to a corresponding entry in ProjectorNS.Source (JSON or MRSS).
+        source_type: 'JSON',
+        // Optional: (Object) Slide parameters mapped to source entry fields, merged over the adapter's defaults. Alternatives are separated by |.
+        source_fields: null,
+        // Optional: (Object) Adapter specific options, see the adapter classes for details.
+        source_options: null,
+        // Optional: (Int) Number of slides remaining ahead of the active slide at which the next page of the source is requested.
+        source_threshold: 2,
         // Function to use as a preloader animation, called once UI has been setup and executed in the scope of the current instance.
         preloader: null,
         // Optional: (String) Specifies the preload and display priority rules.
         preload_priority: 'FIRST',
+        // Optional: (Int) Under WINDOW priority, number of slides kept loaded ahead of the active slide in the direction of travel.
+        preload_ahead: 2,
+        // Optional: (Int) Under WINDOW priority, number of slides kept loaded behind the active slide.
+        preload_behind: 1,
+        // Optional: (Int) Under WINDOW priority, remote images further than this from the active slide release their image data until approached again. Null keeps every slide once loaded.
+        preload_evict: null,
+        // Optional: (String) What becomes of slides whose images cannot be loaded. SKIP keeps them in the stack but never displays them, REMOVE takes them out of the stack.
+        error_policy: 'SKIP',
+        // Optional: (Int) Number of times a failed image is requested again before its slide falls back or fails. Slides may set their own via retries.
+        retries: 0,
+        // Optional: (Float) Seconds before the first retry, doubling with each attempt after. Slides may set their own via retry_delay.
+        retry_delay: 1,
+        // Optional: (String || Object) Image source, element or element id shown in place of an image that could not be loaded. Slides may set their own via fallback.
+        fallback: null,
         // Optional: (Boolean) If false, manual paging is required to transition between slides. Acts as an state trigger (see appendix).
         autoplay: true,
         // Optional: (Boolean) If true, will pause the slideshow on mouseover when autoplay is active. Really, both this and pause on change should be the responsibility of the implementer and I don't want this to set precedent for things that shouldn't be Projector's responsibility creeping in, but we'll see.
@@ -39,30 +63,119 @@ var Projector = new Class({
         pause_on_change: true,
         // Optional: (Boolean) If true will randomize the slide queue prior to load.
         shuffle: false,
-        // Optional: (Int) Time is seconds between each transition when autoplay is active.
+        // Optional: (Int) Time is seconds between each transition when autoplay is active. Slides may set their own via duration.
         display_duration: 10,
-        // Optional: (String) Method to use for transitions, must map to a corresponding entry in the ProjectorNS object.
+        // Optional: (Float) Seconds between TICK events while autoplay counts down to the next slide, 0 disables them.
+        tick_interval: 0.25,
+        // Optional: (String) What autoplay does at the end of the stack. WRAP carries on round, REWIND returns to the first slide, PING_PONG turns back and ONCE stops and fires END. Only WRAP lets next() and previous() pass the ends.
+        loop: 'WRAP',
+        // Optional: (String) FORWARDS or BACKWARDS, the order autoplay moves through the stack.
+        direction: 'FORWARDS',
+        // Optional: (String || Object) Name of a ProjectorNS.Group, or a group instance, whose shared autoplay clock this instance changes slide by. Instances naming the same group change together, or in turn where the group staggers them.
+        group: null,
+        // Optional: (Object) Projector instance whose active slide this instance mirrors by position, such as a stage driving a strip of thumbnails. Followers keep no autoplay clock of their own.
+        follow: null,
+        // Optional: (Boolean) If true, slides with start and end dates are only shown, and only reachable through next() and previous(), within that window.
+        schedule: false,
+        // Optional: (String) Method to use for transitions, must be registered through ProjectorNS.registerTransition (case insensitive).
         transition: 'crossfade',
         // Optional: (Int) Duration in seconds of each transition.
         transition_duration: 1,
+        // Optional: (String) What becomes of requests made mid-transition. QUEUE plays them in turn, INTERRUPT cuts the running transition short and jumps, IGNORE drops them.
+        transition_policy: 'IGNORE',
         // Optional: (String) Name of a Mootools 'transition' or eaching class to use during transition animations.
         easing: 'Fx.Transitions.linear',
         // Optional: (Boolean) If true, will force the container to occupy the entire viewport. Acts as an state trigger (see appendix).
         fullscreen: false,
+        // Optional: (Boolean) If true, fullscreen uses the browser's Fullscreen API, hiding its chrome and exiting on Esc. The fullscreen state follows once the browser confirms. Falls back to filling the viewport where the API is unavailable or refused.
+        native_fullscreen: false,
         // Optional: (String) Specifies whether to prioritise performance, quality or seek a balance of the two (IE and Firefox only).
         rendering_priority: 'BALANCED',
+        // Optional: (String) Animation backend, CSS (browser transitions on transform and opacity) or FX (MooTools Fx.Morph). Defaults to CSS under PERFORMANCE rendering priority, otherwise FX. CSS falls back to FX where unsupported.
+        renderer: null,
+        // Optional: (String) How images fill the container, COVER crops to fill it, CONTAIN letterboxes, FILL stretches and NONE keeps the natural size. Slides may set their own via fit.
+        fit: 'COVER',
+        // Optional: (String) Colour painted around images that do not fill the container, such as letterboxed CONTAIN images. Slides may set their own via fit_background.
+        fit_background: null,
+        // Optional: (Boolean) If true, adds keyboard navigation, ARIA carousel semantics and a live region announcing slide changes.
+        accessible: false,
+        // Optional: (String) Accessible name for the container, used when accessible is true.
+        label: 'Slideshow',
+        // Optional: (Boolean) If true, dragging the active slide with a finger, pen or mouse pages through the slideshow.
+        swipe: false,
+        // Optional: (Float) Fraction of the container width (or height for vertical transitions) a drag must cover to change slide.
+        swipe_threshold: 0.25,
+        // Optional: (Float) Release speed in pixels per millisecond above which a shorter drag still changes slide.
+        swipe_velocity: 0.5,
+        // Optional: (String || Object || Boolean) Element or element id to render the built-in controls into, true creates one directly after the container.
+        controls: null,
+        // Optional: (String || Array) Controls to render, in order, from previous, next, bullets, toggle and thumbnails.
+        controls_layout: 'previous, bullets, toggle, next',
+        // Optional: (Object) Class names overriding ProjectorNS.Controls defaults, keyed by control.
+        controls_classes: null,
+        // Optional: (Object) HTML templates (or functions returning elements) overriding ProjectorNS.Controls defaults, keyed by control.
+        controls_templates: null,
+        // Optional: (Boolean) If true, renders each slide's title, caption and credit parameters into an overlay.
+        captions: false,
+        // Optional: (String || Array) Default point the caption overlay is tethered to, slides may override via caption_anchor.
+        caption_anchor: ['BOTTOM', 'LEFT'],
+        // Optional: (Int) Delay in seconds after a slide starts transitioning in before its caption appears.
+        caption_delay: 0.5,
+        // Optional: (Int) Duration in seconds of the caption's in and out animations.
+        caption_duration: 0.5,
+        // Optional: (Boolean) If true, COVER image slides slowly pan and zoom over their display time. Slides may set their own path via kenburns_from and kenburns_to ('TOP, LEFT, 1.0').
+        kenburns: false,
+        // Optional: (Float) Largest zoom used when a Ken Burns path is randomised.
+        kenburns_scale: 1.25,
+        // Optional: (String) Reflects the active slide in the URL using HASH (location hash), PUSH (history.pushState) or REPLACE (history.replaceState) rules.
+        history: null,
+        // Optional: (String) Name of the URL parameter holding the active slide, defaults to the container id. Must be unique per instance.
+        history_key: null,
+        // Optional: (String) Keeps the show's state (see getState) in SESSION (sessionStorage) or LOCAL (localStorage) storage, resuming from it, in the same order when shuffled, the next time the page is loaded.
+        persist: null,
+        // Optional: (String) Storage key holding the state, defaults to the container id. Must be unique per instance.
+        persist_key: null,
         // Optional: (Boolean) If true will output debugging logs to the console.
         debug: false
     },
     _protected: {
         container: null,
+        accessibility: null,
+        gestures: null,
+        controller: null,
+        captioner: null,
+        historian: null,
+        camera: null,
+        adapter: null,
         stack: [],
+        // Time at which the show first went on stage, once preload conditions were met
         initiated: null,
+        // Time at which the active slide went on stage
+        shown: null,
+        // State read back from storage, applied as the show starts
+        restored: null,
         complete: false,
         timeout: null,
+        // Time at which the autoplay timer will fire, and the interval reporting on it
+        deadline: null,
+        ticker: null,
         animating: false,
+        // The running transition, and requests held back until it completes
+        transitioning: null,
+        requests: [],
         paused: null,
-        active: null
+        active: null,
+        // Direction of travel through the stack, 1 forwards and -1 backwards, used to weight the preload window
+        heading: 1,
+        // Direction autoplay is currently moving in, turned about at the ends under PING_PONG
+        course: 1,
+        // Handler waiting on a queued slide to load, superseded by any later call to play
+        pending: null,
+        // Fullscreen state asked of the browser and not yet confirmed, and whether the browser holds this container fullscreen
+        entering: null,
+        held: false,
+        handlers: null,
+        effects: []
     },
 
     // Constructor
@@ -77,7 +190,10 @@ var Projector = new Class({
         if (!this.container(new ProjectorNS.Container({
             'target': $(this.target())
         })).element()) throw "The containing element is required but was not passed in or could not be found.";
-        if (!this.queue() && this.container().element().getChildren().length === 0) throw "The collection of slide objects (stack) was not passed in and the container holds no child elements.";
+        if (!this.queue() && !this.source() && this.container().element().getChildren().length === 0) throw "The collection of slide objects (stack) was not passed in and the container holds no child elements.";
+
+        // Instances can be found from their container, element.retrieve('projector')
+        this.container().element().store('projector', this);
 
         // Init UI
         this.initUI();
@@ -119,10 +235,9 @@ var Projector = new Class({
     },
 
     accessor: function(parameter, value) {
+        // Values are written under the same snake_case key they are read from, accessor('display_duration', 5) is seen by displayDuration()
         if (typeof value !== 'undefined') {
-            this._parameters[parameter.replace(/_[a-z]{1}/g, function($1) {
-                return $1.substr(-1).toUpperCase()
-            })] = value;
+            this._parameters[parameter] = value;
         }
 
         return this._parameters[parameter];
@@ -137,7 +252,7 @@ var Projector = new Class({
                 this.initTimer();
                 this.initPauseOnHover();
             } else {
-                clearTimeout(this.timeout());
+                this.clearTimer();
 
                 this.container().element().removeEvents('mouseover');
                 this.container().element().removeEvents('mouseout');
@@ -147,23 +262,94 @@ var Projector = new Class({
         return this._parameters.autoplay;
     },
 
+    group: function(value) {
+        if (typeof value !== 'undefined') {
+            this._parameters.group = value;
+        }
+
+        // Named groups are created on first use and shared by every instance naming them
+        if (typeOf(this._parameters.group) === 'string') {
+            this._parameters.group = ProjectorNS.groups[this._parameters.group] || (ProjectorNS.groups[this._parameters.group] = new ProjectorNS.Group());
+        }
+
+        return this._parameters.group;
+    },
+
     fullscreen: function(value) {
         if (typeof value !== 'undefined') {
-            this._parameters.fullscreen = value;
+            // The browser reports back through fullscreenchange, handled by auditFullscreen
+            if (this.nativeFullscreen() && this.container().supportsFullscreen() && (value || this.container().isFullscreen())) {
+                this.entering(!!value);
+
+                if (value) {
+                    this.container().requestFullscreen();
+                } else {
+                    this.container().exitFullscreen();
+                }
 
-            // Reposition and scale on state change.
-            this.positionAndScale();
+                return this._parameters.fullscreen;
+            }
+
+            this.emulateFullscreen(value);
         }
 
         return this._parameters.fullscreen;
     },
 
+    emulateFullscreen: function(value) {
+        var changed = !!value !== !!this._parameters.fullscreen;
+
+        this._parameters.fullscreen = value;
+
+        // Reposition and scale on state change.
+        this.positionAndScale();
+
+        if (changed) {
+            this.fireEvent(value ? ProjectorNS.FULLSCREEN_ENTER : ProjectorNS.FULLSCREEN_EXIT, this);
+        }
+
+        return this;
+    },
+
+    auditFullscreen: function(event) {
+        var state = this.container().isFullscreen();
+
+        // The document reports every element's changes, only this container's own are of concern
+        if (this.entering() === null && !state && !this.held()) {
+            return this;
+        }
+
+        this.entering(null);
+        this.held(state);
+
+        if (state !== !!this._parameters.fullscreen) {
+            this.log(state ? 'Entered fullscreen.' : 'Exited fullscreen.');
+
+            this.emulateFullscreen(state);
+        }
+
+        return this;
+    },
+
+    refuseFullscreen: function(event) {
+        // Refusals are reported document wide, so only act on one this instance is waiting for
+        if (this.entering() !== true) {
+            return this;
+        }
+
+        this.entering(null);
+
+        this.log('Fullscreen was refused, filling the viewport instead.');
+
+        return this.emulateFullscreen(true);
+    },
+
     preloadPriority: function(value) {
         if (typeof value !== 'undefined') {
             this._parameters.preload_priority = value;
         }
 
-        if (!['FIRST', 'FIRST_LOADED', 'ADJACENT', 'STACK'].contains(this._parameters.preload_priority)) {
+        if (!['FIRST', 'FIRST_LOADED', 'ADJACENT', 'STACK', 'WINDOW'].contains(this._parameters.preload_priority)) {
             this.log('Priority rule ' + this._parameters.preload_priority + ' is invalid, switching to FIRST (file).');
 
             this.preloadPriority('FIRST');
@@ -172,6 +358,20 @@ var Projector = new Class({
         return this._parameters.preload_priority.toUpperCase();
     },
 
+    errorPolicy: function(value) {
+        if (typeof value !== 'undefined') {
+            this._parameters.error_policy = value;
+        }
+
+        if (!['SKIP', 'REMOVE'].contains(String(this._parameters.error_policy).toUpperCase())) {
+            this.log('Error policy ' + this._parameters.error_policy + ' is invalid, switching to SKIP.');
+
+            this.errorPolicy('SKIP');
+        }
+
+        return this._parameters.error_policy.toUpperCase();
+    },
+
     renderingPriority: function(value) {
         if (typeof value !== 'undefined') {
             this._parameters.rendering_priority = value;
@@ -186,12 +386,242 @@ var Projector = new Class({
         return this._parameters.rendering_priority.toUpperCase();
     },
 
+    renderer: function(value) {
+        if (typeof value !== 'undefined') {
+            this._parameters.renderer = value;
+        }
+
+        if (!this._parameters.renderer) {
+            return this.renderingPriority() === 'PERFORMANCE' ? 'CSS' : 'FX';
+        }
+
+        if (!['CSS', 'FX'].contains(String(this._parameters.renderer).toUpperCase())) {
+            this.log('Renderer ' + this._parameters.renderer + ' is invalid, switching to FX.');
+
+            this.renderer('FX');
+        }
+
+        return this._parameters.renderer.toUpperCase();
+    },
+
     transition: function(value) {
         if (typeof value !== 'undefined') {
             this._parameters.transition = value;
+
+            // Vertical transitions turn the swipe axis
+            if (this.gestures()) {
+                this.gestures().orient();
+            }
+        }
+
+        return this._parameters.transition;
+    },
+
+    kenburns: function(value) {
+        if (typeof value !== 'undefined') {
+            this._parameters.kenburns = value;
+
+            // Create/release the camera on state change, slides describing their own path keep it
+            if (this._parameters.kenburns && !this.camera()) {
+                this.camera(new ProjectorNS.KenBurns({
+                    'projector': this
+                }));
+
+                if (this.active()) {
+                    this.camera().start(this.active());
+                }
+            } else if (!this._parameters.kenburns && this.camera() && !this.stack().some(function(slide) {
+                return slide.accessor('kenburns_from') || slide.accessor('kenburns_to');
+            })) {
+                this.camera().destroy();
+                this.camera(null);
+            }
+        }
+
+        return this._parameters.kenburns;
+    },
+
+    swipe: function(value) {
+        if (typeof value !== 'undefined') {
+            this._parameters.swipe = value;
+
+            // Create/release gestures on state change.
+            if (this._parameters.swipe && !this.gestures()) {
+                this.gestures(new ProjectorNS.Gestures({
+                    'projector': this
+                }));
+            } else if (!this._parameters.swipe && this.gestures()) {
+                this.gestures().destroy();
+                this.gestures(null);
+            }
+        }
+
+        return this._parameters.swipe;
+    },
+
+    loop: function(value) {
+        if (typeof value !== 'undefined') {
+            this._parameters.loop = value;
+        }
+
+        if (!['WRAP', 'REWIND', 'PING_PONG', 'ONCE'].contains(String(this._parameters.loop).toUpperCase().replace('-', '_'))) {
+            this.log('Loop mode ' + this._parameters.loop + ' is invalid, switching to WRAP.');
+
+            this.loop('WRAP');
+        }
+
+        return this._parameters.loop.toUpperCase().replace('-', '_');
+    },
+
+    direction: function(value) {
+        if (typeof value !== 'undefined') {
+            this._parameters.direction = value;
+
+            this.course(this.direction() === 'BACKWARDS' ? -1 : 1);
+        }
+
+        if (!['FORWARDS', 'BACKWARDS'].contains(String(this._parameters.direction).toUpperCase())) {
+            this.log('Direction ' + this._parameters.direction + ' is invalid, switching to FORWARDS.');
+
+            this.direction('FORWARDS');
+        }
+
+        return this._parameters.direction.toUpperCase();
+    },
+
+    transitionPolicy: function(value) {
+        if (typeof value !== 'undefined') {
+            this._parameters.transition_policy = value;
+        }
+
+        if (!['QUEUE', 'INTERRUPT', 'IGNORE'].contains(String(this._parameters.transition_policy).toUpperCase())) {
+            this.log('Transition policy ' + this._parameters.transition_policy + ' is invalid, switching to IGNORE.');
+
+            this.transitionPolicy('IGNORE');
+        }
+
+        return this._parameters.transition_policy.toUpperCase();
+    },
+
+    transitionMethod: function(name) {
+        var method;
+
+        // Transition names are matched case insensitively so that 'slideLeft', 'slideleft' and 'SLIDELEFT' resolve alike.
+        if (ProjectorNS.transitions[String(name).toLowerCase()]) {
+            return ProjectorNS.transitions[String(name).toLowerCase()];
+        }
+
+        // Functions added straight onto ProjectorNS predate the registry and are still honoured
+        for (method in ProjectorNS) {
+            if (method.toLowerCase() === String(name).toLowerCase() && typeOf(ProjectorNS[method]) === 'function') {
+                return {
+                    'start': ProjectorNS[method]
+                };
+            }
+        }
+
+        this.log('Transition ' + name + ' is invalid, switching to crossfade.');
+
+        return ProjectorNS.transitions.crossfade;
+    },
+
+    animating: function(value) {
+        if (typeof value !== 'undefined') {
+            this._parameters.animating = value;
+
+            // Transitions signal their end by clearing animating
+            if (!value && this.transitioning()) {
+                this.transitioned();
+            }
+        }
+
+        return this._parameters.animating;
+    },
+
+    transitioned: function() {
+        var transition = this.transitioning();
+
+        this.transitioning(null);
+
+        if (transition.method.complete) {
+            transition.method.complete(this, transition.outbound, transition.inbound);
+        }
+
+        // Slides removed while the transition still animated them leave the stage now that it has finished
+        transition.disposals.each(function(slide) {
+            if (slide.element()) {
+                slide.element().dispose();
+            }
+        });
+
+        // Held requests are replayed one at a time, each waiting on the transition before it
+        if (this.requests().length > 0) {
+            this.requests().shift().replay();
         }
 
-        return this._parameters.transition.toLowerCase();
+        return this;
+    },
+
+    interrupt: function() {
+        var transition = this.transitioning();
+
+        if (!transition) {
+            return this;
+        }
+
+        this.log('Interrupting transition.');
+
+        this.transitioning(null);
+
+        // Effects the transition started are stopped where they stand, then it is asked to put the stage in its end state
+        transition.effects.each(function(fx) {
+            fx.cancel();
+        });
+
+        if (transition.method.cancel) {
+            transition.method.cancel(this, transition.outbound, transition.inbound);
+        }
+
+        transition.disposals.each(function(slide) {
+            if (slide.element()) {
+                slide.element().dispose();
+            }
+        });
+
+        // Listeners see the same events as a transition run to completion
+        this.fireEvent(ProjectorNS.HAS_TRANSITIONED_IN, [transition.inbound, this]);
+
+        if (transition.outbound && transition.outbound !== transition.inbound) {
+            this.fireEvent(ProjectorNS.HAS_TRANSITIONED_OUT, [transition.outbound, this]);
+        }
+
+        this.animating(false);
+
+        // Held requests are replayed as they would be by transitioned()
+        if (this.requests().length > 0) {
+            this.requests().shift().replay();
+        }
+
+        return this;
+    },
+
+    persist: function(value) {
+        if (typeof value !== 'undefined') {
+            this._parameters.persist = value;
+        }
+
+        // Switched on without naming a storage, as by a bare data-persist attribute
+        if (this._parameters.persist === true) {
+            this._parameters.persist = 'SESSION';
+        }
+
+        if (this._parameters.persist && !['SESSION', 'LOCAL'].contains(String(this._parameters.persist).toUpperCase())) {
+            this.log('Persistence ' + this._parameters.persist + ' is invalid, switching to SESSION.');
+
+            this._parameters.persist = 'SESSION';
+        }
+
+        return this._parameters.persist ? String(this._parameters.persist).toUpperCase() : null;
     },
 
     easing: function(value) {
@@ -216,6 +646,40 @@ var Projector = new Class({
     initUI: function() {
         this.positionAndScaleContainer();
 
+        if (this.accessible()) {
+            this.accessibility(new ProjectorNS.Accessibility({
+                'projector': this
+            }));
+        }
+
+        if (this.swipe()) {
+            this.gestures(new ProjectorNS.Gestures({
+                'projector': this
+            }));
+        }
+
+        if (this.controls()) {
+            this.controller(new ProjectorNS.Controls({
+                'projector': this,
+                'target': this.controls(),
+                'layout': this.controlsLayout(),
+                'classes': this.controlsClasses(),
+                'templates': this.controlsTemplates()
+            }));
+        }
+
+        if (this.captions()) {
+            this.captioner(new ProjectorNS.Captions({
+                'projector': this
+            }));
+        }
+
+        if (this.history()) {
+            this.historian(new ProjectorNS.History({
+                'projector': this
+            }));
+        }
+
         if (this.preloader()) {
             this.preloader().call(this);
         }
@@ -227,11 +691,16 @@ var Projector = new Class({
         // Stack has received content
         this.addEvent(ProjectorNS.LOADED, this.auditLoadState.bind(this));
 
+        // Shows that play once stop on their last slide
+        this.course(this.direction() === 'BACKWARDS' ? -1 : 1);
+
+        this.addEvent(ProjectorNS.HAS_TRANSITIONED_IN, this.auditEnd.bind(this));
+
         // Preload conditions satisfied
         this.addEvent(ProjectorNS.READY, this.initDisplay.bind(this));
 
         // All stack items loaded
-        if (this.autoplay()) {
+        if (this.autoplay() && !this.follow()) {
             this.addEvent(ProjectorNS.COMPLETE, this.initTimer.bind(this));
             this.addEvent(ProjectorNS.COMPLETE, this.initPauseOnHover.bind(this));
         }
@@ -239,20 +708,90 @@ var Projector = new Class({
         // Transition events
         this.addEvent(ProjectorNS.WILL_TRANSITION_IN, this.positionAndScaleSlide.bind(this));
 
-        // Special case, listen for window.resize events
-        window.onresize = function() {
-            this.positionAndScale();
-        }.bind(this);
+        // Ken Burns starts from the resting position, so it listens after the slide is positioned
+        if (this.kenburns()) {
+            this.camera(new ProjectorNS.KenBurns({
+                'projector': this
+            }));
+        }
+
+        // Media slides play while on stage and are rewound once they leave it
+        this.addEvent(ProjectorNS.WILL_TRANSITION_IN, function(slide) {
+            slide.playMedia();
+        });
+        this.addEvent(ProjectorNS.HAS_TRANSITIONED_OUT, function(slide) {
+            slide.stopMedia();
+        });
+
+        // Remote sources are paged in as the show nears the end of the stack
+        if (this.source()) {
+            this.addEvent(ProjectorNS.WILL_TRANSITION_IN, this.auditSource.bind(this));
+        }
+
+        // Special case, window.resize events arrive through the shared viewport listener. The handlers are kept so that destroy() can release them.
+        this.handlers({
+            'resize': this.positionAndScale.bind(this),
+            'follow': this.mirror.bind(this),
+            'fullscreen': this.auditFullscreen.bind(this),
+            'fullscreen_error': this.refuseFullscreen.bind(this)
+        });
+
+        ProjectorNS.Viewport.subscribe(this.handlers().resize);
+
+        // Esc and the browser's own controls leave fullscreen without going through fullscreen(false)
+        if (this.nativeFullscreen()) {
+            this.container().vendors.change.each(function(type) {
+                Element.NativeEvents[type] = 1;
+
+                document.addEvent(type, this.handlers().fullscreen);
+            }, this);
+
+            this.container().vendors.error.each(function(type) {
+                Element.NativeEvents[type] = 1;
+
+                document.addEvent(type, this.handlers().fullscreen_error);
+            }, this);
+        }
+
+        // Grouped instances take their autoplay timing from the group, followers from their leader
+        if (this.group()) {
+            this.group().join(this);
+        }
+
+        if (this.follow()) {
+            this.follow().addEvent(ProjectorNS.WILL_TRANSITION_IN, this.handlers().follow);
+        }
+
+        // Persisted state is saved as each slide arrives and again as the page is left, catching the time spent on the last one
+        if (this.persist()) {
+            this.handlers().persist = this.save.bind(this);
+
+            this.addEvent(ProjectorNS.HAS_TRANSITIONED_IN, this.handlers().persist);
+
+            Element.NativeEvents.pagehide = 1;
+
+            window.addEvent('pagehide', this.handlers().persist);
+        }
 
         return this;
     },
 
     load: function() {
+        // Remote sources fill the queue before the priority rules below take over
+        if (this.source() && !this.queue()) {
+            return this.initSource();
+        }
+
         if (!this.queue()) {
             this.queue(this.container().element().getChildren());
         }
 
-        if (this.shuffle()) {
+        if (this.persist()) {
+            this.restored(this.recall());
+        }
+
+        // A persisted order is kept, so that returning viewers see the same sequence
+        if (this.shuffle() && !(this.restored() && this.arrange(this.queue(), this.restored().order))) {
             queue = (function(original) {
                 var array = original;
                 for (var j, x, i = array.length; i; j = parseInt(Math.random() * i), x = array[--i], array[i] = array[j], array[j] = x); //Fisher-Yates shuffle algorithm (jsfromhell.com/array/shuffle)
@@ -307,6 +846,16 @@ var Projector = new Class({
 
             break;
 
+            // Load the first file and a window of neighbours around it, moving the window with the active slide.
+        case 'WINDOW':
+            this.log('Loading using WINDOW priority rules.');
+
+            this.consume(this.queue(), true);
+
+            this.preload(this.stack().pick());
+
+            break;
+
             // First loaded and stack: load all files at once.
         default:
             this.log('Loading using default priority rules.');
@@ -319,70 +868,297 @@ var Projector = new Class({
         return this;
     },
 
-    consume: function(queue, bypass_load) {
-        queue.each(function(payload) {
-            this.push(payload, bypass_load);
-        }.bind(this));
-    },
+    initSource: function() {
+        var source = this.source(),
+            type = ProjectorNS.Source[this.sourceType()] ? this.sourceType() : this.sourceType().toUpperCase();
+
+        if (instanceOf(source, ProjectorNS.Source)) {
+            this.adapter(source);
+        } else if (ProjectorNS.Source[type]) {
+            this.adapter(new ProjectorNS.Source[type]({
+                'url': source,
+                'fields': this.sourceFields(),
+                'options': this.sourceOptions()
+            }));
+        } else {
+            this.fireEvent(ProjectorNS.SOURCE_ERROR, ['Source type ' + this.sourceType() + ' is invalid.', this]);
 
-    push: function(payload, bypass_load) {
-        var slide, parameters;
+            return this;
+        }
 
-        // Construct parameter object from the element data
-        if ($(payload)) {
-            parameters = {
-                'target': payload
-            };
+        this.log('Loading slides from source.');
 
-            for (var attribute, i = 0, attributes = parameters.target.attributes, l = attributes.length; i < l; i++) {
-                attribute = attributes.item(i);
-                if (attribute.nodeName.match(/^data/)) {
-                    parameters[attribute.nodeName.replace(/^data-([\-_a-z0-9]+)$/i, '$1').replace(/-/g, '_').toLowerCase()] = attribute.nodeValue;
-                }
-            }
-        }
+        this.fireEvent(ProjectorNS.LOADING_SOURCE, [this.adapter(), this]);
 
-        // Parameters already passed in as object
-        else {
-            parameters = payload;
-        }
+        this.adapter().fetch(function(queue) {
+            if (queue.length === 0) {
+                this.fireEvent(ProjectorNS.SOURCE_ERROR, ['The source holds no slides.', this]);
 
-        // Global parameters
-        Object.merge(parameters, {
-            rendering_priority: this.renderingPriority(),
-            debug: this.debug()
-        });
+                return;
+            }
 
-        slide = new ProjectorNS.Slide(parameters);
+            this.queue(queue);
 
-        slide.addEvent(ProjectorNS.COMPLETE, function() {
-            this.fireEvent(ProjectorNS.LOADED, this);
-        }.bind(this));
+            this.load();
+        }.bind(this), function(message) {
+            this.log(message);
 
-        this.stack().push(bypass_load ? slide : slide.load());
+            this.fireEvent(ProjectorNS.SOURCE_ERROR, [message, this]);
+        }.bind(this));
 
         return this;
     },
 
-    auditLoadState: function(event) {
-        var stack_has_loaded = false,
-            can_display = false;
+    auditSource: function(slide) {
+        var adapter = this.adapter();
 
-        stack_has_loaded = this.stack().every(function(slide) {
-            return slide.complete();
-        });
+        if (!adapter || adapter.loading() || adapter.exhausted() || this.stack().length - this.stack().indexOf(slide) - 1 > this.sourceThreshold()) {
+            return this;
+        }
 
-        switch (this.preloadPriority()) {
-        /*
-         * Adjacent requires the first, second and last slides be loaded for display and as
-         * remaining slides are lazy loaded, stack_has_loaded will be set to true also.
-         */
-        case 'ADJACENT':
-            this.log('Auditing using ADJACENT priority rules.');
+        this.log('Nearing the end of the stack, loading more slides from source.');
 
-            stack_has_loaded = can_display = Array.clone(this.stack()).splice(0, 2).every(function(slide) {
-                return slide.complete();
-            }) && this.stack().getLast() && this.stack().getLast().complete();
+        this.fireEvent(ProjectorNS.LOADING_SOURCE, [adapter, this]);
+
+        adapter.fetch(function(queue) {
+            queue.each(function(payload) {
+                this.insert(payload);
+            }.bind(this));
+        }.bind(this), function(message) {
+            this.log(message);
+
+            this.fireEvent(ProjectorNS.SOURCE_ERROR, [message, this]);
+        }.bind(this));
+
+        return this;
+    },
+
+    consume: function(queue, bypass_load) {
+        queue.each(function(payload) {
+            this.push(payload, bypass_load);
+        }.bind(this));
+    },
+
+    push: function(payload, bypass_load) {
+        var slide = this.construct(payload);
+
+        this.stack().push(bypass_load ? slide : slide.load());
+
+        return this;
+    },
+
+    insert: function(payload, index) {
+        var slide = this.construct(payload);
+
+        index = typeof index === 'undefined' || index === null ? this.stack().length : index.limit(0, this.stack().length);
+
+        this.stack().splice(index, 0, slide);
+
+        if (this.preloadPriority() !== 'WINDOW') {
+            slide.load();
+        } else if (this.active()) {
+            this.preload(this.active());
+        }
+
+        this.log('Inserted slide at ' + index + '.');
+
+        this.fireEvent(ProjectorNS.STACK_CHANGED, [slide, this]);
+
+        return this;
+    },
+
+    remove: function(request) {
+        var slide = typeof request === 'number' ? this.at(request) : request,
+            replacement = null,
+            advance, discard;
+
+        if (!slide || !this.stack().contains(slide)) {
+            return this;
+        }
+
+        // The active slide hands over to its neighbour, chosen before the stack closes up around it
+        if (slide === this.active()) {
+            replacement = this.next() !== slide ? this.next() : this.previous();
+        }
+
+        this.stack().erase(slide);
+
+        this.log('Removed slide.');
+
+        if (slide !== this.active() || !replacement || replacement === slide) {
+            if (slide === this.active()) {
+                this.clearTimer();
+
+                this.active(null);
+            }
+
+            // A slide the running transition still animates is held on stage until the transition ends
+            if (this.transitioning() && [this.transitioning().outbound, this.transitioning().inbound].contains(slide)) {
+                this.transitioning().disposals.push(slide);
+            } else if (slide.element()) {
+                slide.element().dispose();
+            }
+        } else {
+            discard = function(outbound) {
+                if (outbound === slide) {
+                    this.removeEvent(ProjectorNS.HAS_TRANSITIONED_OUT, discard);
+
+                    slide.element().dispose();
+                }
+            }.bind(this);
+
+            this.addEvent(ProjectorNS.HAS_TRANSITIONED_OUT, discard);
+
+            advance = function() {
+                this.play(replacement, true);
+
+                this.countdown(replacement);
+            }.bind(this);
+
+            // Mid-transition the slide is allowed to arrive before it is taken off again, ahead of any held requests
+            if (this.animating() && this.transitioning()) {
+                this.requests().unshift({
+                    'slide': replacement,
+                    'replay': advance
+                });
+            } else {
+                advance();
+            }
+        }
+
+        this.fireEvent(ProjectorNS.STACK_CHANGED, [slide, this]);
+
+        return this;
+    },
+
+    move: function(from, to) {
+        var slide = this.at(from);
+
+        // Positions that are not whole numbers would scramble the stack, those beyond either end are clamped
+        if (!slide || typeOf(to) !== 'number' || to !== to.toInt()) {
+            return this;
+        }
+
+        to = to.limit(0, this.stack().length - 1);
+
+        this.stack().splice(from, 1);
+        this.stack().splice(to, 0, slide);
+
+        this.fireEvent(ProjectorNS.STACK_CHANGED, [slide, this]);
+
+        return this;
+    },
+
+    construct: function(payload) {
+        var slide, parameters;
+
+        // Construct parameter object from the element data
+        if ($(payload)) {
+            parameters = Object.append({
+                'target': payload
+            }, ProjectorNS.dataset(payload));
+        }
+
+        // Parameters already passed in as object
+        else {
+            parameters = payload;
+        }
+
+        // Defaults which, unlike the globals below, slides may override
+        ['retries', 'retry_delay', 'fallback', 'fit', 'fit_background'].each(function(parameter) {
+            if (typeof parameters[parameter] === 'undefined' || parameters[parameter] === null) {
+                parameters[parameter] = this.accessor(parameter);
+            }
+        }, this);
+
+        // Global parameters
+        Object.merge(parameters, {
+            extent: this.container().element().getSize(),
+            rendering_priority: this.renderingPriority(),
+            debug: this.debug()
+        });
+
+        slide = new ProjectorNS.Slide(parameters);
+
+        // Ken Burns is also available to individual slides that describe their own path
+        if (!this.camera() && (slide.accessor('kenburns_from') || slide.accessor('kenburns_to'))) {
+            this.camera(new ProjectorNS.KenBurns({
+                'projector': this
+            }));
+        }
+
+        slide.addEvent(ProjectorNS.COMPLETE, function() {
+            this.fireEvent(ProjectorNS.LOADED, this);
+        }.bind(this));
+
+        // Media reports partial progress while it buffers
+        slide.addEvent(ProjectorNS.PROGRESS, function() {
+            this.fireEvent(ProjectorNS.PROGRESS, [this.progress(), this]);
+        }.bind(this));
+
+        slide.addEvent(ProjectorNS.ERROR, function(url) {
+            this.fireEvent(ProjectorNS.ERROR, [url, slide, this]);
+
+            // Removal also drops the slide's own listeners, so the stack is audited here instead
+            if (slide.failed() && this.errorPolicy() === 'REMOVE') {
+                this.remove(slide);
+
+                this.auditLoadState();
+            }
+        }.bind(this));
+
+        // Media slides advance when they finish rather than after display_duration
+        slide.addEvent(ProjectorNS.ENDED, function() {
+            if (slide === this.active() && this.autoplay() && !this.paused()) {
+                this.play();
+            }
+        }.bind(this));
+
+        // Media the browser won't play would never end, so it is timed instead
+        slide.addEvent(ProjectorNS.REFUSED, function() {
+            if (slide === this.active() && !this.paused()) {
+                this.countdown(slide);
+            }
+        }.bind(this));
+
+        return slide;
+    },
+
+    auditLoadState: function(event) {
+        var stack_has_loaded = false,
+            can_display = false;
+
+        this.fireEvent(ProjectorNS.PROGRESS, [this.progress(), this]);
+
+        // Slides can report in before they join the stack, an empty stack has loaded nothing
+        stack_has_loaded = this.stack().length > 0 && this.stack().every(function(slide) {
+            return slide.complete();
+        });
+
+        switch (this.preloadPriority()) {
+        /*
+         * Adjacent requires the first, second and last slides be loaded for display and as
+         * remaining slides are lazy loaded, stack_has_loaded will be set to true also.
+         */
+        case 'ADJACENT':
+            this.log('Auditing using ADJACENT priority rules.');
+
+            stack_has_loaded = can_display = Array.clone(this.stack()).splice(0, 2).every(function(slide) {
+                return slide.complete();
+            }) && this.stack().getLast() && this.stack().getLast().complete();
+
+            break;
+
+        /*
+         * Window requires the slides around the active (or first) slide, anything released
+         * beyond them is fetched again on approach and does not hold up completion.
+         */
+        case 'WINDOW':
+            this.log('Auditing using WINDOW priority rules.');
+
+            stack_has_loaded = can_display = this.stack().length > 0 && this.vicinity(this.active() || this.stack().pick()).every(function(slide) {
+                return slide.complete();
+            });
 
             break;
 
@@ -427,18 +1203,109 @@ var Projector = new Class({
         return this;
     },
 
+    progress: function() {
+        var stack = this.stack(),
+            fraction = 0,
+            bytes = null;
+
+        // Byte counts are only known for resources the browser exposes timings for
+        stack.each(function(slide) {
+            fraction += slide.progress();
+
+            if (slide.bytes() !== null) {
+                bytes = (bytes || 0) + slide.bytes();
+            }
+        });
+
+        return {
+            'loaded': stack.filter(function(slide) {
+                return slide.complete();
+            }).length,
+            'total': stack.length,
+            'fraction': stack.length ? fraction / stack.length : 0,
+            'bytes': bytes
+        };
+    },
+
     initDisplay: function(event) {
-        var queued = this.stack().filter(function(slide) {
-            return slide.complete();
-        }).pick();
+        // Shows running backwards start from the far end of the stack
+        var stack = this.direction() === 'BACKWARDS' ? this.stack().slice().reverse() : this.stack(),
+            queued = stack.filter(function(slide) {
+                return slide.complete() && this.available(slide);
+            }.bind(this)).pick() || stack.filter(function(slide) {
+                return slide.complete() && !slide.failed();
+            }).pick(),
+            requested = this.follow() && this.follow().active() ? this.at(this.follow().index()) : (this.historian() && this.historian().requested()) || this.locate(this.restored()) || (this.direction() === 'BACKWARDS' ? this.stack().filter(this.available, this).getLast() : null),
+            restored = this.restored(),
+            display, resume;
 
         this.initiated(new Date().getTime());
 
+        // A persisted show picks up part way through its slide, taking back its autoplay and paused status once loaded
+        if (restored) {
+            resume = function() {
+                this.removeEvent(ProjectorNS.COMPLETE, resume);
+
+                this.restored(null);
+
+                this.setState({
+                    'autoplay': restored.autoplay,
+                    'paused': restored.paused,
+                    'elapsed': (restored.elapsed || 0) + this.elapsed()
+                });
+            }.bind(this);
+
+            this.addEvent(ProjectorNS.COMPLETE, resume);
+        }
+
+        if (!queued && !requested) {
+            this.log('No slide could be loaded, nothing to display.');
+
+            // Slides that load later fire READY again
+            this.initiated(null);
+
+            return this;
+        }
+
+        // The leader's slide, one named in the URL or persisted, or the last slide of a show running backwards, takes the place of the first loaded slide, waiting on its own load where required
+        if (requested && requested !== queued) {
+            if (!requested.complete()) {
+                this.log('Waiting on the requested slide.');
+
+                display = function() {
+                    requested.removeEvent(ProjectorNS.COMPLETE, display);
+
+                    this.display(requested);
+
+                    // Where loading completed first, initTimer found nothing on stage and left the timer to this
+                    if (this.complete() && this.autoplay() && !this.follow()) {
+                        this.initTimer();
+                    }
+                }.bind(this);
+
+                requested.addEvent(ProjectorNS.COMPLETE, display);
+
+                if (!requested.element()) {
+                    requested.load();
+                }
+
+                return this;
+            }
+
+            queued = requested;
+        }
+
+        return this.display(queued);
+    },
+
+    display: function(queued) {
         if (this.container().element().getChildren().pick() !== queued.element()) {
             this.play(queued, true);
         } else {
             this.fireEvent(ProjectorNS.WILL_TRANSITION_IN, [queued, this]);
 
+            this.shown(new Date().getTime());
+
             this.positionAndScaleSlide(this.active(queued));
 
             this.fireEvent(ProjectorNS.HAS_TRANSITIONED_IN, [queued, this]);
@@ -471,6 +1338,11 @@ var Projector = new Class({
         var dimensions = this.container().element().getSize(),
             position = this.container().element().getPosition();
 
+        // Slides in the middle of a Ken Burns motion are left to it, they are settled once it stops
+        if (slide.element() && slide.element().retrieve('projector:kenburns')) {
+            return this;
+        }
+
         slide.positionAndScale(
         dimensions.x, dimensions.y);
 
@@ -478,14 +1350,70 @@ var Projector = new Class({
     },
 
     initTimer: function(event, use_pause_delta) {
-        var delta = (new Date().getTime() - (use_pause_delta ? this.paused() : this.initiated())) / 1000;
+        var delta = (new Date().getTime() - (use_pause_delta ? this.paused() : this.shown())) / 1000;
+
+        // Nothing is on stage while the first slide is still being waited on, it sets the timer once shown
+        if (!this.active()) {
+            return this;
+        }
 
         this.log('Setting autoplay timer.');
 
-        if (delta >= this.accessor('display_duration')) {
+        // Media slides advance when they end, unless they already have
+        if (this.active() && this.active().media().length > 0 && !this.active().refused()) {
+            if (this.active().hasEnded()) {
+                this.play();
+            }
+
+            return this;
+        }
+
+        if (delta >= this.duration(this.active())) {
             this.play();
         } else {
-            this.timeout(this.play.delay((this.accessor('display_duration') - delta) * 1000, this));
+            this.setTimer(this.duration(this.active()) - delta);
+        }
+
+        return this;
+    },
+
+    setTimer: function(seconds) {
+        this.clearTimer();
+
+        if (this.group()) {
+            this.deadline(this.group().sync(this, seconds));
+        } else {
+            this.deadline(new Date().getTime() + seconds * 1000);
+
+            this.timeout(this.play.delay(seconds * 1000, this));
+        }
+
+        // Progress bars follow the countdown through TICK, which stops whenever the timer is cleared or paused
+        if (this.tickInterval() > 0) {
+            this.ticker(this.tick.periodical(this.tickInterval() * 1000, this));
+
+            this.tick();
+        }
+
+        return this;
+    },
+
+    clearTimer: function() {
+        clearTimeout(this.timeout());
+        clearInterval(this.ticker());
+
+        this.deadline(null);
+
+        if (this.group()) {
+            this.group().release(this);
+        }
+
+        return this;
+    },
+
+    tick: function() {
+        if (this.deadline()) {
+            this.fireEvent(ProjectorNS.TICK, [Math.max(0, (this.deadline() - new Date().getTime()) / 1000), this.active(), this]);
         }
 
         return this;
@@ -499,13 +1427,39 @@ var Projector = new Class({
     },
 
     play: function(request, bypass_on_pause_check) {
+        var queued, wait, method, effects;
+
+        // Requests made mid-transition wait their turn, cut in, or fall through to be ignored
+        if (this.animating() && this.transitioning()) {
+            switch (this.transitionPolicy()) {
+            case 'QUEUE':
+                this.log('Queueing request until the transition completes.');
+
+                this.requests().push({
+                    'slide': request || this.next(),
+                    'replay': this.play.pass([request, bypass_on_pause_check], this)
+                });
+
+                return this;
+
+            case 'INTERRUPT':
+                // Held requests replayed by the interruption are cut short in turn
+                while (this.animating() && this.transitioning()) {
+                    this.interrupt();
+                }
+
+                break;
+            }
+        }
+
         this.paused(null);
+        this.pending(null);
 
-        clearTimeout(this.timeout());
+        this.clearTimer();
 
         if (!this.animating()) {
             if (!request) {
-                queued = this.next();
+                queued = this.upcoming();
             } else {
                 queued = request;
 
@@ -514,18 +1468,96 @@ var Projector = new Class({
                 }
             }
 
-            this.active(ProjectorNS[queued.transition() || this.transition()](this, this.active(), queued));
+            // Nothing else is eligible for display, hold the active slide and check again later
+            if (queued && queued === this.active()) {
+                if (!bypass_on_pause_check) {
+                    this.countdown(queued);
+                }
+
+                return this;
+            }
+
+            // Slides yet to load, or since released, jump the loading order and are shown once ready
+            if (!queued.complete()) {
+                this.log('Waiting on the queued slide.');
 
-            if (!bypass_on_pause_check && this.autoplay()) {
-                this.timeout(this.play.delay(this.accessor('display_duration') * 1000, this));
+                wait = function() {
+                    queued.removeEvent(ProjectorNS.COMPLETE, wait);
+
+                    if (this.pending() === wait) {
+                        this.play(queued, true);
+
+                        if (!bypass_on_pause_check) {
+                            this.countdown(queued);
+                        }
+                    }
+                }.bind(this);
+
+                this.pending(wait);
+
+                queued.addEvent(ProjectorNS.COMPLETE, wait);
+
+                this.preload(queued);
+
+                return this;
+            }
+
+            // Moves the preload window along with the show
+            this.preload(queued);
+
+            method = this.transitionMethod(queued.transition() || this.transition());
+            effects = this.effects().length;
+
+            this.transitioning({
+                'method': method,
+                'outbound': this.active(),
+                'inbound': queued,
+                'effects': [],
+                'disposals': []
+            });
+
+            this.shown(new Date().getTime());
+
+            this.active(method.start(this, this.active(), queued));
+
+            // Effects created as the transition starts belong to it and are cancelled with it
+            if (this.transitioning()) {
+                if (this.animating()) {
+                    this.transitioning().effects = this.effects().slice(effects);
+                } else {
+                    this.transitioning(null);
+                }
+            }
+
+            if (!bypass_on_pause_check) {
+                this.countdown(queued);
             }
         }
 
         return this;
     },
 
+    countdown: function(slide) {
+        // Media slides are advanced by their ENDED event instead (unless refused), the last slide of a show playing once is never left and followers wait on their leader
+        if (this.autoplay() && (slide.media().length === 0 || slide.refused()) && !this.last(slide) && !this.follow()) {
+            this.setTimer(this.duration(slide));
+        }
+
+        return this;
+    },
+
+    duration: function(slide) {
+        var duration = slide ? parseFloat(slide.accessor('duration')) : NaN;
+
+        return isNaN(duration) ? this.accessor('display_duration') : duration;
+    },
+
+    available: function(slide) {
+        return !slide.failed() && (!this.schedule() || slide.isAvailable(new Date().getTime()));
+    },
+
     pause: function() {
-        clearTimeout(this.timeout());
+        this.clearTimer();
 
         this.paused(new Date().getTime());
 
@@ -533,21 +1565,454 @@ var Projector = new Class({
     },
 
     next: function() {
-        return this.index() + 1 < this.stack().length ? this.at(this.index() + 1) : this.stack().pick();
+        return this.seek(1);
     },
 
     previous: function() {
-        return this.index() - 1 >= 0 ? this.at(this.index() - 1) : this.stack().getLast();
+        return this.seek(-1);
     },
 
-    index: function() {
-        return this.stack().indexOf(this.active());
+    seek: function(step) {
+        var stack = this.stack(),
+            index = stack.indexOf(this.destination()) < 0 && step < 0 ? 0 : stack.indexOf(this.destination()),
+            position, slide;
+
+        // Step around the stack, passing over slides outside their scheduled window
+        for (var i = 1; i <= stack.length; i++) {
+            position = index + (i * step);
+
+            // Only WRAP carries on past the ends
+            if (this.loop() !== 'WRAP' && (position < 0 || position >= stack.length)) {
+                break;
+            }
+
+            slide = stack[((position % stack.length) + stack.length) % stack.length];
+
+            if (this.available(slide)) {
+                return slide;
+            }
+        }
+
+        return this.destination() || stack.pick();
+    },
+
+    upcoming: function() {
+        var queued = this.seek(this.course()),
+            available;
+
+        if (!queued || queued !== this.destination()) {
+            return queued;
+        }
+
+        // At the end of the stack
+        switch (this.loop()) {
+        case 'REWIND':
+            available = this.stack().filter(this.available, this);
+
+            return this.course() > 0 ? available.pick() || queued : available.getLast() || queued;
+
+        case 'PING_PONG':
+            this.course(-this.course());
+
+            return this.seek(this.course());
+        }
+
+        return queued;
+    },
+
+    last: function(slide) {
+        // Only shows playing once have a last slide, the one autoplay cannot move on from
+        return this.loop() === 'ONCE' && slide === this.destination() && this.seek(this.course()) === slide;
+    },
+
+    auditEnd: function(slide) {
+        if (slide === this.active() && this.last(slide)) {
+            this.log('Reached the end of the show.');
+
+            this.clearTimer();
+
+            this.fireEvent(ProjectorNS.END, [slide, this]);
+        }
+
+        return this;
+    },
+
+    index: function() {
+        return this.stack().indexOf(this.active());
+    },
+
+    name: function(item) {
+        var slide = instanceOf(item, ProjectorNS.Slide),
+            element = !slide && typeOf(item) === 'element',
+            id = slide ? item.accessor('id') : element ? item.get('data-id') : item.id,
+            target = slide ? item.target() : element ? item.get('data-target') || item : item.target;
+
+        // Slides and the payloads they are built from are named alike, by their id parameter (data-id), then their element's id
+        if (id) {
+            return String(id);
+        }
+
+        if (typeOf(target) === 'element') {
+            return target.get('id') || null;
+        }
+
+        // As in Slide.load, strings that could be element ids are taken for them
+        return target && String(target).match(/^[\-_a-z0-9]+$/i) ? String(target) : null;
+    },
+
+    identify: function(item) {
+        var slide = instanceOf(item, ProjectorNS.Slide),
+            element = !slide && typeOf(item) === 'element',
+            target = slide ? item.target() : element ? item.get('data-target') || item : item.target;
+
+        // Unnamed slides and payloads are keyed by the source or URL they load
+        if (this.name(item)) {
+            return this.name(item);
+        }
+
+        if (typeOf(target) === 'element') {
+            return target.get('src') || null;
+        }
+
+        return target ? String(target) : null;
+    },
+
+    locate: function(state) {
+        var stack = this.stack();
+
+        if (!state) {
+            return null;
+        }
+
+        return stack.filter(function(slide) {
+            return state.slide && this.identify(slide) === state.slide;
+        }.bind(this)).pick() || stack[state.index] || null;
+    },
+
+    arrange: function(items, order) {
+        var original = Array.from(items).slice(),
+            keys = original.map(this.identify, this);
+
+        // Only an order naming every item exactly once can be trusted
+        if (typeOf(order) !== 'array' || order.length !== keys.length || keys.some(function(key, i) {
+            return !key || !order.contains(key) || keys.indexOf(key) !== i;
+        })) {
+            return false;
+        }
+
+        order.each(function(key, i) {
+            items[i] = original[keys.indexOf(key)];
+        });
+
+        return true;
+    },
+
+    elapsed: function() {
+        var now = new Date().getTime();
+
+        // While counting down the time left gives it away, otherwise it runs from the slide going on stage to any pause
+        if (this.deadline()) {
+            return Math.max(0, this.duration(this.active()) - (this.deadline() - now) / 1000);
+        }
+
+        return this.shown() ? Math.max(0, ((this.paused() || now) - this.shown()) / 1000) : 0;
+    },
+
+    getState: function() {
+        return {
+            'slide': this.active() ? this.identify(this.active()) : null,
+            'index': this.index(),
+            'autoplay': !!this.autoplay(),
+            'paused': !!this.paused() && !this.deadline(),
+            'elapsed': this.elapsed(),
+            'order': this.shuffle() ? this.stack().map(this.identify, this) : null
+        };
+    },
+
+    setState: function(state) {
+        var slide;
+
+        state = state || {};
+
+        // The order is put back first, so that the index below refers to it
+        if (state.order && this.arrange(this.stack(), state.order)) {
+            this.fireEvent(ProjectorNS.STACK_CHANGED, [this.active(), this]);
+        }
+
+        slide = this.locate(typeof state.slide !== 'undefined' || typeof state.index !== 'undefined' ? state : null);
+
+        if (slide && this.active() && slide !== this.active()) {
+            this.play(slide, true);
+        }
+
+        if (typeof state.elapsed === 'number') {
+            this.shown(new Date().getTime() - state.elapsed * 1000);
+        } else if (state.paused === false && this.paused() && !this.deadline()) {
+            // Resuming carries on from the point of the pause
+            this.shown(this.shown() + new Date().getTime() - this.paused());
+
+            this.paused(null);
+        }
+
+        // Turning autoplay on or off starts or clears the timer, otherwise it is set again for a new elapsed time or on resuming
+        if (typeof state.autoplay !== 'undefined' && !!state.autoplay !== !!this.autoplay()) {
+            this.autoplay(!!state.autoplay);
+        } else if (this.autoplay() && !state.paused && (typeof state.elapsed === 'number' || (state.paused === false && !this.deadline()))) {
+            this.initTimer();
+        }
+
+        if (this.autoplay() && state.paused) {
+            this.pause();
+        }
+
+        return this;
+    },
+
+    storage: function() {
+        // Storage may be disabled, or throw on access where cookies are blocked
+        try {
+            return this.persist() === 'LOCAL' ? window.localStorage : window.sessionStorage;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    storageKey: function() {
+        return 'projector:' + (this.persistKey() || this.container().element().get('id') || 'projector');
+    },
+
+    save: function() {
+        var storage = this.storage();
+
+        // Nothing is on stage yet, keep whatever was saved before
+        if (!storage || !this.active()) {
+            return this;
+        }
+
+        try {
+            storage.setItem(this.storageKey(), JSON.encode(this.getState()));
+        } catch (error) {
+            this.log('State could not be saved: ' + error);
+        }
+
+        return this;
+    },
+
+    recall: function() {
+        var storage = this.storage(),
+            state = null;
+
+        try {
+            state = storage ? JSON.decode(storage.getItem(this.storageKey()) || 'null', true) : null;
+        } catch (error) {
+            this.log('State could not be read: ' + error);
+        }
+
+        return typeOf(state) === 'object' ? state : null;
+    },
+
+    destination: function() {
+        // Stepping is relative to where held requests will leave the show, so repeated clicks each count
+        return this.requests().length > 0 ? this.requests().getLast().slide : this.active();
+    },
+
+    preload: function(slide) {
+        var stack = this.stack(),
+            origin = stack.indexOf(slide),
+            previous = this.index(),
+            limit;
+
+        if (origin < 0) {
+            return this;
+        }
+
+        if (this.preloadPriority() !== 'WINDOW') {
+            if (!slide.element()) {
+                slide.load();
+            }
+
+            return this;
+        }
+
+        // Moving from the active slide sets the heading, taking the shorter way around the stack
+        if (previous >= 0 && previous !== origin) {
+            this.heading((origin - previous + stack.length) % stack.length <= stack.length / 2 ? 1 : -1);
+        }
+
+        this.vicinity(slide).each(function(neighbour) {
+            if (!neighbour.element()) {
+                neighbour.load();
+            }
+        });
+
+        if (this.preloadEvict() === null) {
+            return this;
+        }
+
+        // Never evict inside the window
+        limit = Math.max(String(this.preloadEvict()).toInt(), String(this.preloadAhead()).toInt(), String(this.preloadBehind()).toInt(), 1);
+
+        stack.each(function(candidate, index) {
+            var distance = Math.min((index - origin + stack.length) % stack.length, (origin - index + stack.length) % stack.length);
+
+            if (distance > limit) {
+                candidate.unload();
+            }
+        }, this);
+
+        return this;
+    },
+
+    vicinity: function(slide) {
+        var stack = this.stack(),
+            origin = stack.indexOf(slide),
+            ahead = String(this.preloadAhead()).toInt(),
+            behind = String(this.preloadBehind()).toInt(),
+            slides = [slide],
+            swap;
+
+        // Travelling backwards, the window is turned around to lie mostly before the slide
+        if (this.heading() < 0) {
+            swap = ahead;
+            ahead = behind;
+            behind = swap;
+        }
+
+        // Nearest first, alternating sides, so that closer slides are requested sooner
+        for (var i = 1; i <= Math.max(ahead, behind); i++) {
+            if (i <= ahead) {
+                slides.include(stack[(origin + i) % stack.length]);
+            }
+
+            if (i <= behind) {
+                slides.include(stack[((origin - i) % stack.length + stack.length) % stack.length]);
+            }
+        }
+
+        return slides;
     },
 
     at: function(index) {
         return this.stack()[index];
     },
 
+    mirror: function(slide) {
+        var mirrored = this.at(this.follow().stack().indexOf(slide));
+
+        // Until this instance is displaying, initDisplay picks up the leader's position instead
+        if (mirrored && this.active()) {
+            this.play(mirrored, true);
+        }
+
+        return this;
+    },
+
+    effect: function(fx) {
+        var effects = this.effects(),
+            release = function() {
+                effects.erase(fx);
+            };
+
+        // Running animations are tracked so that they can be cancelled on destroy
+        effects.push(fx);
+
+        fx.addEvents({
+            'complete': release,
+            'cancel': release
+        });
+
+        return fx;
+    },
+
+    morph: function(element, options) {
+        var morph;
+
+        // Curves CSS cannot express, such as Bounce and Elastic, stay with Fx.Morph
+        if (this.renderer() === 'CSS') {
+            morph = new ProjectorNS.CSSMorph(element, options);
+
+            if (morph.supported() && morph.curve()) {
+                return morph;
+            }
+        }
+
+        return new Fx.Morph(element, options);
+    },
+
+    destroy: function() {
+        this.log('Destroying instance.');
+
+        // Timers, held requests and running animations
+        this.clearTimer();
+
+        this.transitioning(null);
+        this.requests().empty();
+
+        while (this.effects().length) {
+            this.effects().shift().cancel();
+        }
+
+        this.animating(false);
+
+        // Optional modules clean up after themselves
+        [this.accessibility(), this.gestures(), this.controller(), this.captioner(), this.historian(), this.camera()].each(function(module) {
+            if (module) {
+                module.destroy();
+            }
+        });
+
+        // Shared listeners, groups and leaders
+        ProjectorNS.Viewport.unsubscribe(this.handlers().resize);
+
+        if (this.group()) {
+            this.group().leave(this);
+        }
+
+        if (this.follow()) {
+            this.follow().removeEvent(ProjectorNS.WILL_TRANSITION_IN, this.handlers().follow);
+        }
+
+        // DOM listeners
+        if (this.persist()) {
+            window.removeEvent('pagehide', this.handlers().persist);
+        }
+
+        if (this.nativeFullscreen()) {
+            if (this.container().isFullscreen()) {
+                this.container().exitFullscreen();
+            }
+
+            this.container().vendors.change.each(function(type) {
+                document.removeEvent(type, this.handlers().fullscreen);
+            }, this);
+
+            this.container().vendors.error.each(function(type) {
+                document.removeEvent(type, this.handlers().fullscreen_error);
+            }, this);
+        }
+
+        this.container().element().removeEvents('mouseover');
+        this.container().element().removeEvents('mouseout');
+
+        this.stack().each(function(slide) {
+            slide.removeEvents();
+        });
+
+        // Put the page back as it was found
+        this.container().reset().restore();
+
+        this.fireEvent(ProjectorNS.DESTROYED, this);
+
+        this.removeEvents();
+
+        this.container().element().eliminate('projector');
+
+        this.active(null);
+        this.stack().empty();
+
+        return this;
+    },
+
     log: function(message) {
         this.debug() && console && console.log(message);
     }
@@ -565,18 +2030,62 @@ var ProjectorNS = {
     WILL_TRANSITION_OUT: 'PROJECTOR:will_transition_out',
     HAS_TRANSITIONED_IN: 'PROJECTOR:has_transitioned_in',
     HAS_TRANSITIONED_OUT: 'PROJECTOR:has_transitioned_out',
+    DESTROYED: 'PROJECTOR:destroyed',
+    // Fired once an instance has been torn down and the container restored
+    ENDED: 'PROJECTOR:ended',
+    // Fired by media slides when their media has played to the end
+    REFUSED: 'PROJECTOR:refused',
+    // Fired by media slides when the browser refuses to play their media
+    END: 'PROJECTOR:end',
+    // Fired when a show whose loop is ONCE arrives at its last slide
+    FULLSCREEN_ENTER: 'PROJECTOR:fullscreen_enter',
+    FULLSCREEN_EXIT: 'PROJECTOR:fullscreen_exit',
+    // Fired as the container enters and leaves fullscreen, natively or emulated
+    PROGRESS: 'PROJECTOR:progress',
+    // Fired as slides load, carrying loaded and total slide counts, a fraction including buffered media and, where the browser reports it, bytes loaded
+    TICK: 'PROJECTOR:tick',
+    // Fired every tick_interval while autoplay counts down, carrying the seconds left before the next slide
+    ERROR: 'PROJECTOR:error',
+    // Fired when an image fails to load and has no retries left, carrying the image's URL. Also fired on a data-projector container that could not be initialised, carrying the error
+    STACK_CHANGED: 'PROJECTOR:stack_changed',
+    // Fired when slides are inserted, removed or moved after construction
+    LOADING_SOURCE: 'PROJECTOR:loading_source',
+    // Fired as each page of a remote slide source is requested
+    SOURCE_ERROR: 'PROJECTOR:source_error',
+    // Fired when a remote slide source could not be fetched or read
 
     // Container
     Container: new Class({
         _protected: {
             element: null,
 
-            state: null
+            state: null,
+
+            // Attribute snapshots of the container and its original children, taken before Projector touches them
+            original: null,
+
+            children: []
+        },
+
+        // Fullscreen API names, standard first then vendor prefixed
+        vendors: {
+            'request': ['requestFullscreen', 'webkitRequestFullscreen', 'webkitRequestFullScreen', 'mozRequestFullScreen', 'msRequestFullscreen'],
+            'exit': ['exitFullscreen', 'webkitExitFullscreen', 'webkitCancelFullScreen', 'mozCancelFullScreen', 'msExitFullscreen'],
+            'element': ['fullscreenElement', 'webkitFullscreenElement', 'webkitCurrentFullScreenElement', 'mozFullScreenElement', 'msFullscreenElement'],
+            'change': ['fullscreenchange', 'webkitfullscreenchange', 'mozfullscreenchange', 'MSFullscreenChange'],
+            'error': ['fullscreenerror', 'webkitfullscreenerror', 'mozfullscreenerror', 'MSFullscreenError']
         },
 
         initialize: function(parameters) {
             this.element($(parameters.target));
 
+            if (!this.element()) {
+                return this;
+            }
+
+            this.original(this.snapshot(this.element()));
+            this.children(this.element().getChildren().map(this.snapshot));
+
             this.element().setStyles({
                 'position': 'relative',
                 'overflow': 'hidden'
@@ -603,6 +2112,73 @@ var ProjectorNS = {
             return this._protected.state;
         },
 
+        original: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.original = value;
+            }
+
+            return this._protected.original;
+        },
+
+        children: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.children = value;
+            }
+
+            return this._protected.children;
+        },
+
+        snapshot: function(element) {
+            var attributes = {};
+
+            Array.from(element.attributes).each(function(attribute) {
+                attributes[attribute.nodeName] = attribute.nodeValue;
+            });
+
+            return {
+                'element': element,
+                'attributes': attributes
+            };
+        },
+
+        vendor: function(member, scope) {
+            return this.vendors[member].filter(function(name) {
+                return typeof scope[name] !== 'undefined';
+            }).pick() || null;
+        },
+
+        supportsFullscreen: function() {
+            return !!this.vendor('request', this.element()) && document.fullscreenEnabled !== false && document.webkitFullscreenEnabled !== false;
+        },
+
+        isFullscreen: function() {
+            var property = this.vendor('element', document);
+
+            return !!property && document[property] === this.element();
+        },
+
+        requestFullscreen: function() {
+            var request = this.element()[this.vendor('request', this.element())]();
+
+            // Refusals are also raised as fullscreenerror, where they are handled
+            if (request && typeof request.then === 'function') {
+                request.then(null, function() {});
+            }
+
+            return this;
+        },
+
+        exitFullscreen: function() {
+            var exit = this.vendor('exit', document),
+                request = exit ? document[exit]() : null;
+
+            if (request && typeof request.then === 'function') {
+                request.then(null, function() {});
+            }
+
+            return this;
+        },
+
         scaleToViewport: function() {
             var viewport = window.getSize();
 
@@ -620,6 +2196,33 @@ var ProjectorNS = {
         reset: function() {
             this.element().setStyles(this.state());
 
+            return this;
+        },
+
+        restore: function() {
+            var reinstate = function(snapshot) {
+                Array.from(snapshot.element.attributes).each(function(attribute) {
+                    if (!snapshot.attributes.hasOwnProperty(attribute.nodeName)) {
+                        snapshot.element.removeAttribute(attribute.nodeName);
+                    }
+                });
+
+                Object.each(snapshot.attributes, function(value, name) {
+                    snapshot.element.setAttribute(name, value);
+                });
+            };
+
+            // Clear out slides, strips and overlays, then return the original children in their original order
+            this.element().getChildren().dispose();
+
+            this.children().each(function(snapshot) {
+                reinstate(snapshot);
+
+                snapshot.element.inject(this.element());
+            }.bind(this));
+
+            reinstate(this.original());
+
             return this;
         }
     }),
@@ -638,7 +2241,33 @@ var ProjectorNS = {
             easing: null,
             // Optional: (String) Used to override the default easing class from the main class.
             anchor: ['CENTRE', 'CENTRE'],
-            // Optional: (Array) Used to tether an image to the specified anchor point during scaling.
+            // Optional: (Array) Used to tether an image to the specified anchor point during scaling. Percentages (['30%', '65%']) mark a focal point kept as near the centre as cropping allows.
+            fit: 'COVER',
+            // Optional: (String) COVER, CONTAIN, FILL or NONE, defaults to the main class's fit. Elements other than images are stretched to the container unless NONE.
+            fit_background: null,
+            // Optional: (String) Colour painted around an image that does not fill the container.
+            srcset: null,
+            // Optional: (String || Object) Image candidates, either a srcset style list ('small.jpg 640w, large.jpg 1920w' or 'a.jpg 1x, b.jpg 2x') or a map of image widths to sources. The best fit for the container and device pixel ratio is used.
+            type: null,
+            // Optional: (String) IMAGE, VIDEO or AUDIO. Remote targets are otherwise typed by their file extension.
+            poster: null,
+            // Optional: (String) Poster frame for video slides, also used as the slide's thumbnail.
+            muted: true,
+            // Optional: (Boolean) If false, media slides play with sound. Browsers may refuse to autoplay unmuted media.
+            duration: null,
+            // Optional: (Int) Time in seconds this slide is displayed for when autoplay is active, overriding display_duration.
+            start: null,
+            // Optional: (Mixed) Date (or date string or timestamp) before which the slide is not shown when the main class's schedule is active.
+            end: null,
+            // Optional: (Mixed) Date (or date string or timestamp) from which the slide is no longer shown when the main class's schedule is active.
+            retries: 0,
+            // Optional: (Int) Times a failed image is requested again before the slide falls back or fails, defaults to the main class's retries.
+            retry_delay: 1,
+            // Optional: (Float) Seconds before the first retry, doubling with each attempt after.
+            fallback: null,
+            // Optional: (Mixed) Image source, element or element id shown in place of an image that could not be loaded.
+            extent: null,
+            // Global: (Object) Container dimensions when the slide was constructed, used to pick the initial image candidate.
             rendering_priority: null,
             // Global: (String) This is a global variable and cannot be overridden, refer to the main class.
             debug: false // Global: (Boolean) This is a global variable and cannot be overridden, refer to the main class.
@@ -648,7 +2277,21 @@ var ProjectorNS = {
 
             aspect: null,
 
-            complete: false
+            // Size of the element before any scaling, used by the NONE fit
+            natural: null,
+
+            complete: false,
+
+            // Set once an image has failed with no retries or fallback left
+            failed: false,
+
+            // The image candidate currently displayed, and the one being fetched to replace it
+            resolution: null,
+
+            upgrading: null,
+
+            // Set while the browser refuses to play the slide's media, which is then timed as any other slide
+            refused: false
         },
 
         initialize: function(parameters) {
@@ -691,10 +2334,9 @@ var ProjectorNS = {
         },
 
         accessor: function(parameter, value) {
+            // Written under the snake_case key it is read from, as Projector.accessor
             if (typeof value !== 'undefined') {
-                this._parameters[parameter.replace(/_[a-z]{1}/g, function($1) {
-                    return $1.substr(-1).toUpperCase()
-                })] = value;
+                this._parameters[parameter] = value;
             }
 
             return this._parameters[parameter];
@@ -714,17 +2356,31 @@ var ProjectorNS = {
             return this._parameters.anchor.invoke('toUpperCase');
         },
 
-        easing: function(value) {
+        fit: function(value) {
             if (typeof value !== 'undefined') {
-                this._parameters.easing = value;
+                this._parameters.fit = value;
             }
 
-            if (this._parameters.easing && typeof this._parameters.easing !== 'function') {
-                var parts = this._parameters.easing.split('.'),
-                    method = window;
+            if (!['COVER', 'CONTAIN', 'FILL', 'NONE'].contains(String(this._parameters.fit).toUpperCase())) {
+                this.log('Fit ' + this._parameters.fit + ' is invalid, switching to COVER.');
 
-                while (parts.length > 0) {
-                    method = method[parts.shift()];
+                this.fit('COVER');
+            }
+
+            return this._parameters.fit.toUpperCase();
+        },
+
+        easing: function(value) {
+            if (typeof value !== 'undefined') {
+                this._parameters.easing = value;
+            }
+
+            if (this._parameters.easing && typeof this._parameters.easing !== 'function') {
+                var parts = this._parameters.easing.split('.'),
+                    method = window;
+
+                while (parts.length > 0) {
+                    method = method[parts.shift()];
                 }
 
                 this._parameters.easing = method;
@@ -744,7 +2400,13 @@ var ProjectorNS = {
         },
 
         load: function() {
-            var images = [];
+            var images = [],
+                media = [];
+
+            // Slides may be given candidates alone, in which case the best fit becomes the target
+            if (!this.target() && this.candidates().length > 0) {
+                this.target(this.candidate().src);
+            }
 
             this.log('Loading: ' + this.target());
 
@@ -785,13 +2447,68 @@ var ProjectorNS = {
                 }
             }
 
+            // Else, where the target refers to remote media we build a player for it
+            else if (['VIDEO', 'AUDIO'].contains(this.mediaType())) {
+                this.element(new Element(this.mediaType().toLowerCase(), {
+                    'src': this.target(),
+                    'preload': 'auto',
+                    'poster': this.poster(),
+                    'playsinline': true
+                }));
+            }
+
             // Else, we assume that the target refers to a remote image
             else {
+                this.resolution(this.candidate());
+
                 images = [this.element(new Element('img', {
-                    'src': this.target()
+                    'src': this.resolution() ? this.resolution().src : this.target()
                 }))];
             }
 
+            media = this.media();
+
+            if (media.length > 0) {
+                Object.append(Element.NativeEvents, {
+                    'loadeddata': 2,
+                    'canplay': 2,
+                    'canplaythrough': 2,
+                    'progress': 2,
+                    'ended': 2
+                });
+            }
+
+            // Media is ready once it has its first frame. iOS Safari holds back canplaythrough until the user interacts, so
+            // whichever of loadeddata, canplay and canplaythrough arrives first counts
+            media.each(function(player) {
+                var ready = function(event) {
+                    // Rewinding raises these again, only the first counts towards loading
+                    ['loadeddata', 'canplay', 'canplaythrough'].each(function(type) {
+                        player.removeEvent(type, ready);
+                    });
+
+                    this.fireEvent(ProjectorNS.LOADED, this);
+                }.bind(this);
+
+                player.muted = this.muted() !== false && this.muted() !== 'false';
+
+                if (player.readyState < 2) {
+                    ['loadeddata', 'canplay', 'canplaythrough'].each(function(type) {
+                        player.addEvent(type, ready);
+                    });
+                } else {
+                    this.fireEvent(ProjectorNS.LOADED, this);
+                }
+
+                player.addEvent('progress', function(event) {
+                    this.fireEvent(ProjectorNS.PROGRESS, [this.progress(), this]);
+                }.bind(this));
+
+                player.addEvent('ended', function(event) {
+                    this.fireEvent(ProjectorNS.ENDED, this);
+                }.bind(this));
+            }.bind(this));
+
             if (images.length > 0) {
                 images.each(function(image) {
                     // Set rendering priority rules
@@ -813,23 +2530,29 @@ var ProjectorNS = {
                         break;
                     }
 
-                    // Where the image has not been cached
-                    if (!image.complete) {
-                        // Add on load handler
-                        image.addEvent('load', function(event) {
-                            this.fireEvent(ProjectorNS.LOADED, this);
-                        }.bind(this));
+                    // Listeners go on first, retries and fallbacks load into the same image and report through them
+                    image.addEvent('error', function(event) {
+                        this.fail(image);
+                    }.bind(this));
+
+                    image.addEvent('load', function(event) {
+                        this.fireEvent(ProjectorNS.LOADED, this);
+                    }.bind(this));
+
+                    // Where the image has been cached, broken images can report complete without ever raising an error
+                    if (this.isBroken(image)) {
+                        this.fail(image);
                     }
 
                     // Else fire loaded event immediately
-                    else {
+                    else if (image.complete) {
                         this.fireEvent(ProjectorNS.LOADED, this);
                     }
                 }.bind(this));
             }
 
-            // If there are no images, the slide should already be ready
-            else {
+            // If there are no images or media, the slide should already be ready
+            else if (media.length === 0) {
                 this.fireEvent(ProjectorNS.LOADED, this);
             }
 
@@ -839,11 +2562,149 @@ var ProjectorNS = {
             return this;
         },
 
+        progress: function() {
+            var media = this.media(),
+                buffered = 0;
+
+            if (this.complete() || media.length === 0) {
+                return this.complete() ? 1 : 0;
+            }
+
+            // Media counts the share of its duration buffered so far
+            media.each(function(player) {
+                if (player.duration && player.buffered && player.buffered.length) {
+                    buffered += (player.buffered.end(player.buffered.length - 1) / player.duration).limit(0, 1);
+                }
+            });
+
+            return buffered / media.length;
+        },
+
+        bytes: function() {
+            var element = this.element(),
+                sources, bytes = null;
+
+            if (!element || !this.complete() || !window.performance || !window.performance.getEntriesByName) {
+                return null;
+            }
+
+            sources = element.get('tag') === 'img' || this.media().length > 0 ? [element] : element.getElements('img');
+
+            // Resource timing reports encoded sizes, cross-origin resources without Timing-Allow-Origin report nothing
+            sources.each(function(source) {
+                var entry = window.performance.getEntriesByName(source.src).getLast();
+
+                if (entry && entry.encodedBodySize) {
+                    bytes = (bytes || 0) + entry.encodedBodySize;
+                }
+            });
+
+            return bytes;
+        },
+
+        unload: function() {
+            var target = this.target(),
+                element = this.element();
+
+            // Only images the slide built itself can be fetched again, elements taken from the document are left alone, as is anything on stage
+            if (!element || element.getParent() || !this.complete() || this.failed() || this.mediaType() !== 'IMAGE' || typeof target !== 'string' || target.match(/^[\-_a-z0-9]+$/i)) {
+                return this;
+            }
+
+            this.log('Unloading: ' + target);
+
+            // Pointing the detached image at a blank gif lets mobile browsers release its decoded data
+            element.removeEvents().dispose().set('src', 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7');
+
+            this.element(null);
+            this.complete(false);
+            this.resolution(null);
+            this.upgrading(null);
+
+            return this;
+        },
+
+        fail: function(image) {
+            var url = image.get('src'),
+                attempts = (image.retrieve('projector:attempts') || 0) + 1,
+                fallback = this.fallback(),
+                placeholder;
+
+            image.store('projector:attempts', attempts);
+
+            // Try the source again, backing off exponentially, unless it is the fallback that failed
+            if (attempts <= String(this.retries()).toInt() && !image.retrieve('projector:fallback')) {
+                this.log('Retrying ' + url + ', attempt ' + attempts + '.');
+
+                (function() {
+                    image.set('src', url);
+                }).delay(String(this.retryDelay()).toFloat() * Math.pow(2, attempts - 1) * 1000);
+
+                return this;
+            }
+
+            this.log('Failed to load ' + url);
+
+            if (fallback && !image.retrieve('projector:fallback')) {
+                image.store('projector:fallback', true);
+
+                // A fallback source is loaded into the same image, whose load event then completes the slide
+                if (typeof fallback === 'string' && !fallback.match(/^[\-_a-z0-9]+$/i)) {
+                    this.fireEvent(ProjectorNS.ERROR, [url, this]);
+
+                    image.set('src', fallback);
+
+                    return this;
+                }
+
+                if ($(fallback)) {
+                    placeholder = $(fallback).clone();
+
+                    if (image.getParent()) {
+                        placeholder.replaces(image);
+                    }
+
+                    if (image === this.element()) {
+                        this.element(placeholder);
+
+                        if (this.accessor('class_name')) {
+                            placeholder.addClass(this.accessor('class_name'));
+                        }
+                    }
+
+                    this.fireEvent(ProjectorNS.ERROR, [url, this]);
+                    this.fireEvent(ProjectorNS.LOADED, this);
+
+                    return this;
+                }
+            }
+
+            this.failed(true);
+
+            this.fireEvent(ProjectorNS.ERROR, [url, this]);
+            this.fireEvent(ProjectorNS.LOADED, this);
+
+            return this;
+        },
+
+        isBroken: function(image) {
+            // Vector images may legitimately have no width
+            return image.complete && image.naturalWidth === 0 && !String(image.get('src')).match(/\.svg([?#]|$)/i);
+        },
+
         auditLoadState: function(event) {
             var images = this.element().get('tag') === 'img' ? [this.element()] : this.element().getElements('img');
 
-            if (images.length === 0 || images.every(function(image) {
-                return image.complete;
+            // Cached images report loaded twice, once as they are found complete and again through their load event
+            if (this.complete()) {
+                return this;
+            }
+
+            // Broken images waiting on a retry are complete as far as the browser is concerned, but not yet loaded
+            if (this.failed() || (images.length === 0 || images.every(function(image) {
+                return image.complete && !this.isBroken(image);
+            }, this)) && this.media().every(function(player) {
+                return player.readyState >= 2;
             })) {
                 this.complete(true);
 
@@ -862,78 +2723,2259 @@ var ProjectorNS = {
         },
 
         positionAndScale: function(width, height) {
-            var dimensions, top = 0,
+            var geometry, padding, top = 0,
                 left = 0;
 
             if (this.element()) {
-                if (this.element().get('tag') !== 'img') {
+                if (this.element().get('tag') !== 'img' && this.fit() !== 'NONE') {
                     this.element().setStyles({
                         'width': width + 'px',
                         'height': height + 'px',
                         'top': top + 'px',
                         'left': left + 'px'
                     });
-                } else {
-                    if (!this.aspect()) {
-                        dimensions = Element.measure(this.element(), function() {
-                            return this.getSize();
-                        });
 
-                        this.aspect(dimensions.x / dimensions.y);
+                    // Players scale their own picture within the element
+                    if (this.media().length > 0) {
+                        this.element().setStyle('object-fit', this.fit().toLowerCase());
                     }
-
-                    if (width / this.aspect() < height) {
-                        dimensions = {
-                            'x': (height * this.aspect()),
-                            'y': height
-                        };
-                    } else {
-                        dimensions = {
-                            'x': width,
-                            'y': (width / this.aspect())
+                } else {
+                    geometry = this.geometry(width, height, this.anchor());
+
+                    // With a background the image is padded out to the container, so the colour moves with the slide
+                    padding = {
+                        'top': 0,
+                        'right': 0,
+                        'bottom': 0,
+                        'left': 0
+                    };
+
+                    if (this.fitBackground()) {
+                        padding = {
+                            'top': Math.max(0, geometry.top),
+                            'right': Math.max(0, width - geometry.width - geometry.left),
+                            'bottom': Math.max(0, height - geometry.height - geometry.top),
+                            'left': Math.max(0, geometry.left)
                         };
+
+                        this.element().setStyle('background-color', this.fitBackground());
                     }
 
                     this.element().setStyles({
-                        'width': dimensions.x + 'px',
-                        'height': dimensions.y + 'px'
+                        'box-sizing': 'content-box',
+                        'width': geometry.width + 'px',
+                        'height': geometry.height + 'px',
+                        'left': (geometry.left - padding.left) + 'px',
+                        'top': (geometry.top - padding.top) + 'px',
+                        'padding': [padding.top, padding.right, padding.bottom, padding.left].join('px ') + 'px'
                     });
 
-                    if (this.anchor().indexOf('LEFT') >= 0) {
-                        this.element().setStyles({
-                            'left': left + 'px'
-                        });
-                    } else if (this.anchor().indexOf('RIGHT') >= 0) {
-                        this.element().setStyles({
-                            'left': (left - (dimensions.x - width)) + 'px'
-                        });
-                    } else {
-                        this.element().setStyles({
-                            'left': (left - ((dimensions.x - width) / 2)) + 'px'
-                        });
-                    }
+                    this.upgrade(geometry.width);
+                }
+            }
+
+            return this;
+        },
+
+        geometry: function(width, height, anchor, scale) {
+            var dimensions, focus, percentages;
+
+            if (!this.aspect()) {
+                dimensions = Element.measure(this.element(), function() {
+                    return this.getSize();
+                });
+
+                this.natural(dimensions);
+                this.aspect(dimensions.x / dimensions.y);
+            }
+
+            switch (this.fit()) {
+            case 'FILL':
+                dimensions = {
+                    'x': width,
+                    'y': height
+                };
+
+                break;
+
+            case 'NONE':
+                dimensions = Object.clone(this.natural());
+
+                break;
+
+            default:
+                // Cover fills the container on its shorter side, contain fits it on the longer
+                if ((width / this.aspect() < height) === (this.fit() === 'COVER')) {
+                    dimensions = {
+                        'x': (height * this.aspect()),
+                        'y': height
+                    };
+                } else {
+                    dimensions = {
+                        'x': width,
+                        'y': (width / this.aspect())
+                    };
+                }
+
+                break;
+            }
+
+            // Zooming scales beyond the fitted size
+            dimensions.x *= scale || 1;
+            dimensions.y *= scale || 1;
+
+            percentages = anchor.filter(function(point) {
+                return String(point).match(/%$/);
+            }).map(function(point) {
+                return String(point).toFloat() / 100;
+            });
+
+            focus = {
+                'x': anchor.contains('LEFT') ? 0 : anchor.contains('RIGHT') ? 1 : percentages.length ? percentages.shift() : 0.5,
+                'y': anchor.contains('TOP') ? 0 : anchor.contains('BOTTOM') ? 1 : percentages.length ? percentages.shift() : 0.5
+            };
+
+            // Cropped axes bring the focal point as near the centre as the image's edges allow, others align like background-position
+            return {
+                'width': dimensions.x,
+                'height': dimensions.y,
+                'left': dimensions.x > width ? (width / 2 - dimensions.x * focus.x).limit(width - dimensions.x, 0) : (width - dimensions.x) * focus.x,
+                'top': dimensions.y > height ? (height / 2 - dimensions.y * focus.y).limit(height - dimensions.y, 0) : (height - dimensions.y) * focus.y
+            };
+        },
+
+        mediaType: function() {
+            var target = this.target();
+
+            if (this.type()) {
+                return this.type().toUpperCase();
+            }
+
+            if (this.element()) {
+                return ['video', 'audio'].contains(this.element().get('tag')) ? this.element().get('tag').toUpperCase() : 'IMAGE';
+            }
+
+            if (typeof target === 'string') {
+                if (target.match(/\.(mp4|m4v|webm|ogv|mov)([?#]|$)/i)) {
+                    return 'VIDEO';
+                }
+
+                if (target.match(/\.(mp3|m4a|aac|oga|ogg|wav)([?#]|$)/i)) {
+                    return 'AUDIO';
+                }
+            }
+
+            return 'IMAGE';
+        },
+
+        media: function() {
+            if (!this.element()) {
+                return [];
+            }
+
+            return ['video', 'audio'].contains(this.element().get('tag')) ? [this.element()] : Array.from(this.element().getElements('video, audio'));
+        },
+
+        playMedia: function() {
+            this.refused(false);
+
+            this.media().each(function(player) {
+                var promise = player.play();
+
+                // Browsers that refuse to autoplay reject rather than throw
+                if (promise && promise['catch']) {
+                    promise['catch'](function(error) {
+                        this.log('Media playback was refused: ' + error);
+
+                        if (!this.refused()) {
+                            this.refused(true);
+
+                            this.fireEvent(ProjectorNS.REFUSED, this);
+                        }
+                    }.bind(this));
+                }
+            }.bind(this));
+
+            return this;
+        },
+
+        stopMedia: function() {
+            this.media().each(function(player) {
+                player.pause();
+
+                try {
+                    player.currentTime = 0;
+                } catch (error) {
+                    // Media without metadata can't seek yet, it is already at the start
+                }
+            });
+
+            return this;
+        },
+
+        isAvailable: function(time) {
+            var start = this.timestamp(this.accessor('start')),
+                end = this.timestamp(this.accessor('end'));
+
+            return (start === null || start <= time) && (end === null || time < end);
+        },
+
+        timestamp: function(value) {
+            if (value === null || typeof value === 'undefined' || value === '') {
+                return null;
+            }
+
+            // Dates, millisecond timestamps and date strings are all accepted
+            value = instanceOf(value, Date) ? value.getTime() : (String(value).match(/^\d+$/) ? value.toInt() : new Date(value).getTime());
+
+            return isNaN(value) ? null : value;
+        },
+
+        hasEnded: function() {
+            var media = this.media();
+
+            return media.length > 0 && media.every(function(player) {
+                return player.ended;
+            });
+        },
+
+        candidates: function() {
+            var srcset = this.accessor('srcset'),
+                candidates = [],
+                pattern = /\s*([^\s,]+)(?:\s+([\d.]+)([wx]))?\s*(?:,|$)/g,
+                match;
+
+            if (!srcset) {
+                return candidates;
+            }
+
+            // Maps may arrive as JSON from data attributes
+            if (typeof srcset === 'string' && srcset.trim().charAt(0) === '{') {
+                srcset = JSON.decode(srcset);
+            }
+
+            if (typeof srcset === 'string') {
+                while ((match = pattern.exec(srcset)) && match[0]) {
+                    candidates.push({
+                        'src': match[1],
+                        'width': match[3] === 'w' ? match[2].toInt() : null,
+                        'density': match[3] === 'w' ? null : (match[2] ? match[2].toFloat() : 1)
+                    });
+                }
+            } else {
+                Object.each(srcset, function(src, width) {
+                    candidates.push({
+                        'src': src,
+                        'width': width.toInt(),
+                        'density': null
+                    });
+                });
+            }
+
+            return candidates.sort(function(a, b) {
+                return (a.width || a.density) - (b.width || b.density);
+            });
+        },
+
+        candidate: function(width) {
+            var ratio = window.devicePixelRatio || 1,
+                candidates = this.candidates();
+
+            if (candidates.length === 0) {
+                return null;
+            }
+
+            width = width || (this.extent() ? this.extent().x : 0);
+
+            // The smallest candidate covering the rendered size at the device's pixel ratio, else the largest there is
+            return candidates.filter(function(candidate) {
+                return candidate.width !== null ? candidate.width >= width * ratio : candidate.density >= ratio;
+            }).pick() || candidates.getLast();
+        },
+
+        upgrade: function(width) {
+            var candidate = this.candidate(width),
+                current = this.resolution(),
+                element = this.element(),
+                preload;
+
+            // Only ever step up, and only once per candidate
+            if (!candidate || this.upgrading() === candidate.src || (current && (candidate.width || candidate.density) <= (current.width || current.density)) || element.getAttribute('src') === candidate.src) {
+                return this;
+            }
+
+            this.log('Upgrading to ' + candidate.src);
+
+            this.upgrading(candidate.src);
+
+            // Fetch off-stage and swap once cached so the visible image never blanks
+            preload = new Element('img');
+
+            preload.addEvent('load', function() {
+                if (this.upgrading() === candidate.src) {
+                    element.set('src', candidate.src);
+
+                    this.resolution(candidate);
+                    this.upgrading(null);
+                }
+            }.bind(this));
+
+            preload.set('src', candidate.src);
+
+            return this;
+        },
+
+        log: function(message) {
+            this.debug() && console && console.log(message);
+        }
+    }),
+
+    // Accessibility
+    Accessibility: new Class({
+        _protected: {
+            projector: null,
+
+            region: null,
+
+            handler: null
+        },
+
+        // Key codes mapped to navigation commands
+        keys: {
+            35: 'last',
+            36: 'first',
+            37: 'previous',
+            38: 'previous',
+            39: 'next',
+            40: 'next'
+        },
+
+        initialize: function(parameters) {
+            var element;
+
+            this.projector(parameters.projector);
+
+            element = this.projector().container().element();
+
+            // Container semantics, made focusable so that it can receive key events
+            element.set({
+                'role': 'region',
+                'aria-roledescription': 'carousel',
+                'aria-label': element.get('aria-label') || this.projector().label()
+            });
+
+            if (!element.hasAttribute('tabindex')) {
+                element.set('tabindex', 0);
+            }
+
+            // Polite live region, visually hidden but available to assistive technology. It sits beside the container so it
+            // can never be mistaken for a slide.
+            this.region(new Element('div', {
+                'aria-live': 'polite',
+                'aria-atomic': 'true',
+                'styles': {
+                    'position': 'absolute',
+                    'width': '1px',
+                    'height': '1px',
+                    'overflow': 'hidden',
+                    'clip': 'rect(0 0 0 0)'
+                }
+            }).inject(element, 'after'));
+
+            // Viewers who have asked for less motion get manual paging and instant transitions
+            if (this.reducedMotion()) {
+                this.projector().log('Reduced motion requested, disabling autoplay and transition animations.');
+
+                this.projector().autoplay(false);
+                this.projector().accessor('transition_duration', 0);
+            }
+
+            element.addEvent('keydown', this.handler(this.navigate.bind(this)));
+
+            this.projector().addEvent(ProjectorNS.WILL_TRANSITION_IN, this.label.bind(this));
+            this.projector().addEvent(ProjectorNS.STACK_CHANGED, this.relabel.bind(this));
+            this.projector().addEvent(ProjectorNS.HAS_TRANSITIONED_IN, this.announce.bind(this));
+
+            return this;
+        },
+
+        projector: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.projector = value;
+            }
+
+            return this._protected.projector;
+        },
+
+        region: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.region = value;
+            }
+
+            return this._protected.region;
+        },
+
+        handler: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.handler = value;
+            }
+
+            return this._protected.handler;
+        },
+
+        reducedMotion: function() {
+            return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+        },
+
+        navigate: function(event) {
+            var projector = this.projector(),
+                command = this.keys[event.code],
+                request;
+
+            // Leave keys alone while the viewer is typing in a form field within the slides
+            if (!command || ['input', 'textarea', 'select'].contains(event.target.get('tag')) || !projector.active()) {
+                return;
+            }
+
+            event.preventDefault();
+
+            // Home and End go to the first and last slides within their scheduled window, as next and previous do
+            switch (command) {
+            case 'first':
+                request = projector.stack().filter(projector.available, projector).pick();
+
+                break;
+
+            case 'last':
+                request = projector.stack().filter(projector.available, projector).getLast();
+
+                break;
+
+            default:
+                request = projector[command]();
+
+                break;
+            }
+
+            // Slides yet to load, or since evicted, are waited on by play()
+            if (request && request !== projector.active()) {
+                projector.play(request);
+            }
+        },
+
+        relabel: function() {
+            // Positions shift when the stack changes, so the current slide's "n of N" is refreshed
+            if (this.projector().active()) {
+                this.label(this.projector().active());
+            }
+
+            return this;
+        },
+
+        label: function(slide) {
+            var projector = this.projector();
+
+            slide.element().set({
+                'role': 'group',
+                'aria-roledescription': 'slide',
+                'aria-label': (projector.stack().indexOf(slide) + 1) + ' of ' + projector.stack().length
+            });
+
+            return this;
+        },
+
+        announce: function(slide) {
+            var projector = this.projector(),
+                description = slide.element().get('alt') || slide.element().get('title');
+
+            // Rotating shows stay quiet so that autoplay doesn't talk over the viewer
+            this.region().set('aria-live', projector.autoplay() && !projector.paused() ? 'off' : 'polite');
+
+            this.region().set('text', 'Slide ' + slide.element().get('aria-label') + (description ? ': ' + description : ''));
+
+            return this;
+        },
+
+        destroy: function() {
+            // Container attributes are restored by the container itself
+            this.projector().container().element().removeEvent('keydown', this.handler());
+
+            this.region().destroy();
+
+            return this;
+        }
+    }),
+
+    // Gestures
+    Gestures: new Class({
+        _protected: {
+            projector: null,
+
+            // Bound document listeners, kept so they can be removed on release
+            listeners: null,
+
+            // Bound container listeners, kept so they can be removed on destroy
+            handlers: null,
+
+            // Drag state: start point, start time, the slide being dragged and its resting offset
+            drag: null,
+
+            // Set when a drag has moved far enough that the click which follows it should be swallowed
+            dragged: false,
+
+            // Bound projector listener keeping touch-action in step with the active slide's transition
+            orientation: null
+        },
+
+        initialize: function(parameters) {
+            var element;
+
+            this.projector(parameters.projector);
+
+            element = this.projector().container().element();
+
+            // Pointer events cover mouse, pen and touch where supported, otherwise fall back to touch events
+            if (window.PointerEvent) {
+                Object.append(Element.NativeEvents, {
+                    'pointerdown': 2,
+                    'pointermove': 2,
+                    'pointerup': 2,
+                    'pointercancel': 2
+                });
+
+                this.listeners({
+                    'pointermove': this.move.bind(this),
+                    'pointerup': this.release.bind(this),
+                    'pointercancel': this.cancel.bind(this)
+                });
+
+                this.handlers({
+                    'pointerdown': this.start.bind(this)
+                });
+            } else {
+                this.listeners({
+                    'touchmove': this.move.bind(this),
+                    'touchend': this.release.bind(this),
+                    'touchcancel': this.cancel.bind(this)
+                });
+
+                this.handlers({
+                    'touchstart': this.start.bind(this)
+                });
+            }
+
+            // Stop images being dragged out by the browser and links firing at the end of a swipe
+            Object.append(this.handlers(), {
+                'dragstart': function(event) {
+                    event.preventDefault();
+                },
+                'click': function(event) {
+                    if (this.dragged()) {
+                        this.dragged(false);
+
+                        event.preventDefault();
+                    }
+                }.bind(this)
+            });
+
+            element.addEvents(this.handlers());
+
+            this.orient();
+
+            // Slides may bring their own transition, and with it their own axis
+            this._protected.orientation = this.orient.bind(this);
+
+            this.projector().addEvent(ProjectorNS.WILL_TRANSITION_IN, this._protected.orientation);
+
+            return this;
+        },
+
+        projector: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.projector = value;
+            }
+
+            return this._protected.projector;
+        },
+
+        orient: function() {
+            // Leave scrolling across the swipe axis to the browser, movement along it is ours
+            if (window.PointerEvent) {
+                this.projector().container().element().setStyle('touch-action', this.axis() === 'y' ? 'pan-x' : 'pan-y');
+            }
+
+            return this;
+        },
+
+        listeners: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.listeners = value;
+            }
+
+            return this._protected.listeners;
+        },
+
+        handlers: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.handlers = value;
+            }
+
+            return this._protected.handlers;
+        },
+
+        drag: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.drag = value;
+            }
+
+            return this._protected.drag;
+        },
+
+        dragged: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.dragged = value;
+            }
+
+            return this._protected.dragged;
+        },
+
+        axis: function() {
+            var active = this.projector().active();
+
+            // Vertical transitions are swiped vertically, everything else horizontally
+            return (/(up|down)$/i).test((active && active.transition()) || this.projector().transition()) ? 'y' : 'x';
+        },
+
+        point: function(event) {
+            var source = event.event.changedTouches ? event.event.changedTouches[0] : event.event;
+
+            return {
+                'x': source.pageX,
+                'y': source.pageY
+            };
+        },
+
+        start: function(event) {
+            var projector = this.projector(),
+                slide = projector.active(),
+                property = this.axis() === 'y' ? 'top' : 'left';
+
+            // Only the primary button or first finger drags, and never while a transition has the stage
+            if (this.drag() || !slide || projector.animating() || (event.event.button && event.event.button !== 0) || (event.event.touches && event.event.touches.length > 1)) {
+                return;
+            }
+
+            this.dragged(false);
+
+            this.drag({
+                'origin': this.point(event),
+                'time': new Date().getTime(),
+                'slide': slide,
+                'property': property,
+                'offset': slide.element().getStyle(property).toInt() || 0,
+                'delta': 0,
+                'tracking': null
+            });
+
+            // Hold autoplay while the viewer has hold of the slide
+            projector.pause();
+
+            document.addEvents(this.listeners());
+        },
+
+        move: function(event) {
+            var drag = this.drag(),
+                point = this.point(event),
+                primary = drag.property === 'top' ? 'y' : 'x',
+                secondary = primary === 'y' ? 'x' : 'y';
+
+            // Decide on the first movement whether this is our gesture or a page scroll
+            if (drag.tracking === null) {
+                drag.tracking = Math.abs(point[primary] - drag.origin[primary]) >= Math.abs(point[secondary] - drag.origin[secondary]);
+
+                if (!drag.tracking) {
+                    return this.cancel();
+                }
+            }
+
+            event.preventDefault();
+
+            drag.delta = point[primary] - drag.origin[primary];
+
+            if (Math.abs(drag.delta) > 5) {
+                this.dragged(true);
+            }
+
+            drag.slide.element().setStyle(drag.property, (drag.offset + drag.delta) + 'px');
+        },
+
+        release: function(event) {
+            var projector = this.projector(),
+                drag = this.drag(),
+                extent = projector.container().element().getSize()[drag.property === 'top' ? 'y' : 'x'],
+                velocity = Math.abs(drag.delta) / Math.max(new Date().getTime() - drag.time, 1),
+                request;
+
+            this.end();
+
+            if (drag.slide === projector.active() && !projector.animating() && (Math.abs(drag.delta) >= extent * projector.swipeThreshold() || (velocity >= projector.swipeVelocity() && Math.abs(drag.delta) > 5))) {
+                request = drag.delta < 0 ? projector.next() : projector.previous();
+            }
+
+            // Slides yet to load, or since evicted, are waited on by play()
+            if (request && request !== drag.slide) {
+                projector.log('Swipe committed, changing slide.');
+
+                // Return the slide to rest before the transition takes it, play() then applies pause_on_change
+                drag.slide.element().setStyle(drag.property, drag.offset + 'px');
+
+                projector.play(request);
+            } else {
+                this.snap(drag);
+            }
+        },
+
+        cancel: function() {
+            var drag = this.drag();
+
+            if (drag) {
+                this.end();
+
+                this.snap(drag);
+            }
+        },
+
+        end: function() {
+            document.removeEvents(this.listeners());
+
+            this.drag(null);
+
+            return this;
+        },
+
+        snap: function(drag) {
+            var projector = this.projector(),
+                styles = {};
+
+            styles[drag.property] = drag.offset;
+
+            projector.effect(new Fx.Morph(drag.slide.element(), {
+                'duration': 200,
+                'transition': drag.slide.easing() || projector.easing()
+            })).start(styles);
+
+            // Resume autoplay as pause_on_hover does
+            if (projector.autoplay() && projector.paused()) {
+                projector.initTimer(null, true);
+            }
+
+            return this;
+        },
+
+        destroy: function() {
+            this.end();
+
+            this.projector().removeEvent(ProjectorNS.WILL_TRANSITION_IN, this._protected.orientation);
+
+            this.projector().container().element().removeEvents(this.handlers()).setStyle('touch-action', null);
+
+            return this;
+        }
+    }),
+
+    // Controls
+    Controls: new Class({
+        _protected: {
+            projector: null,
+
+            element: null,
+
+            // Set when the controls element was created by Projector rather than supplied
+            created: false,
+
+            layout: [],
+
+            // Rendered control elements keyed by control name, bullets and thumbnails hold arrays
+            parts: {}
+        },
+
+        // Class names applied to the rendered markup, override via the controls_classes parameter
+        classes: {
+            controls: 'projector-controls',
+            previous: 'projector-previous',
+            next: 'projector-next',
+            bullets: 'projector-bullets',
+            bullet: 'projector-bullet',
+            toggle: 'projector-toggle',
+            thumbnails: 'projector-thumbnails',
+            thumbnail: 'projector-thumbnail',
+            active: 'projector-active',
+            playing: 'projector-playing',
+            unavailable: 'projector-unavailable'
+        },
+
+        // Templates are substituted with class_name, number, total and src, override via the controls_templates parameter
+        templates: {
+            previous: '<button type="button" class="{class_name}" aria-label="Previous slide">&lsaquo;</button>',
+            next: '<button type="button" class="{class_name}" aria-label="Next slide">&rsaquo;</button>',
+            toggle: '<button type="button" class="{class_name}"></button>',
+            bullet: '<button type="button" class="{class_name}" aria-label="Go to slide {number} of {total}">{number}</button>',
+            thumbnail: '<button type="button" class="{class_name}" aria-label="Go to slide {number} of {total}"><img src="{src}" alt="" /></button>'
+        },
+
+        initialize: function(parameters) {
+            var projector = parameters.projector;
+
+            this.projector(projector);
+
+            this.classes = Object.merge({}, this.classes, parameters.classes || {});
+            this.templates = Object.merge({}, this.templates, parameters.templates || {});
+
+            this.layout(typeof parameters.layout === 'string' ? parameters.layout.split(',').map(function(control) {
+                return control.replace(/\s/g, '').toLowerCase();
+            }) : parameters.layout);
+
+            // Render into the given element, or create one alongside the container
+            if (parameters.target === true) {
+                this.element(new Element('div').inject(projector.container().element(), 'after'));
+
+                this._protected.created = true;
+            } else {
+                this.element($(parameters.target));
+            }
+
+            if (!this.element()) {
+                projector.log('Controls element could not be found, controls will not be rendered.');
+
+                return this;
+            }
+
+            this.element().addClass(this.classes.controls);
+
+            // The stack is only populated once loading starts, so the controls are drawn when the show is ready
+            projector.addEvent(ProjectorNS.READY, this.render.bind(this));
+            projector.addEvent(ProjectorNS.STACK_CHANGED, this.render.bind(this));
+            projector.addEvent(ProjectorNS.WILL_TRANSITION_IN, this.update.bind(this));
+
+            return this;
+        },
+
+        projector: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.projector = value;
+            }
+
+            return this._protected.projector;
+        },
+
+        element: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.element = value;
+            }
+
+            return this._protected.element;
+        },
+
+        layout: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.layout = value;
+            }
+
+            return this._protected.layout;
+        },
+
+        parts: function() {
+            return this._protected.parts;
+        },
+
+        build: function(control, data) {
+            var template = this.templates[control];
+
+            data = Object.merge({
+                'class_name': this.classes[control]
+            }, data || {});
+
+            if (typeOf(template) === 'function') {
+                return $(template.call(this, data, this.projector()));
+            }
+
+            return new Element('div', {
+                'html': template.substitute(data)
+            }).getFirst();
+        },
+
+        render: function() {
+            var projector = this.projector(),
+                stack = projector.stack(),
+                parts = this._protected.parts = {};
+
+            this.element().empty();
+
+            this.layout().each(function(control) {
+                var list;
+
+                switch (control) {
+                case 'previous':
+                case 'next':
+                    parts[control] = this.build(control).addEvent('click', function(event) {
+                        event.preventDefault();
+
+                        this.request(projector[control]());
+                    }.bind(this)).inject(this.element());
+
+                    break;
+
+                case 'toggle':
+                    parts.toggle = this.build('toggle').addEvent('click', function(event) {
+                        event.preventDefault();
+
+                        projector.autoplay(!projector.autoplay());
+
+                        this.update();
+                    }.bind(this)).inject(this.element());
+
+                    break;
+
+                case 'bullets':
+                case 'thumbnails':
+                    list = new Element('div', {
+                        'class': this.classes[control]
+                    }).inject(this.element());
+
+                    parts[control] = stack.map(function(slide, index) {
+                        var data = {
+                                'number': index + 1,
+                                'total': stack.length,
+                                'src': this.thumbnail(slide)
+                            },
+                            item = control === 'thumbnails' && data.src ? this.build('thumbnail', data) : this.build('bullet', Object.merge(data, {
+                                'class_name': this.classes[control === 'thumbnails' ? 'thumbnail' : 'bullet']
+                            }));
+
+                        return item.addEvent('click', function(event) {
+                            event.preventDefault();
+
+                            this.request(slide);
+                        }.bind(this)).inject(list);
+                    }.bind(this));
+
+                    break;
+
+                default:
+                    projector.log('Unknown control ' + control + ', skipping.');
+
+                    break;
+                }
+            }.bind(this));
+
+            this.update();
+
+            return this;
+        },
+
+        thumbnail: function(slide) {
+            var target = slide.target(),
+                image;
+
+            // Explicit thumbnails (data-thumbnail) win, then poster frames, then the smallest image candidate, then the slide's own image
+            if (slide.accessor('thumbnail') || slide.accessor('poster')) {
+                return slide.accessor('thumbnail') || slide.accessor('poster');
+            }
+
+            if (slide.candidates().length > 0) {
+                return slide.candidates().pick().src;
+            }
+
+            if (typeof target === 'string' && !target.match(/^[\-_a-z0-9]+$/i)) {
+                return slide.mediaType() === 'IMAGE' ? target : null;
+            }
+
+            image = slide.element() || $(target);
+
+            if (image && image.get('tag') === 'video') {
+                return image.get('poster') || null;
+            }
+
+            if (image && image.get('tag') !== 'img') {
+                image = image.getElement('video[poster], img');
+            }
+
+            return image ? image.get(image.get('tag') === 'video' ? 'poster' : 'src') : null;
+        },
+
+        request: function(slide) {
+            var projector = this.projector();
+
+            // Slides outside their scheduled window can't be reached from the controls either
+            if (!slide || slide === projector.active() || !projector.available(slide)) {
+                return this;
+            }
+
+            // Lazily loaded slides are fetched first and shown once they arrive, see play()
+            projector.play(slide);
+
+            return this;
+        },
+
+        update: function(slide) {
+            var projector = this.projector(),
+                index = projector.stack().indexOf(slide || projector.active()),
+                parts = this.parts();
+
+            ['bullets', 'thumbnails'].each(function(control) {
+                (parts[control] || []).each(function(item, position) {
+                    if (position === index) {
+                        item.addClass(this.classes.active).set('aria-current', 'true');
+                    } else {
+                        item.removeClass(this.classes.active).removeProperty('aria-current');
+                    }
+
+                    // Availability changes with the schedule, so it is refreshed as the show moves on
+                    if (projector.stack()[position] && !projector.available(projector.stack()[position])) {
+                        item.addClass(this.classes.unavailable).set('aria-disabled', 'true');
+                    } else {
+                        item.removeClass(this.classes.unavailable).removeProperty('aria-disabled');
+                    }
+                }.bind(this));
+            }.bind(this));
+
+            if (parts.toggle) {
+                parts.toggle[projector.autoplay() ? 'addClass' : 'removeClass'](this.classes.playing);
+                parts.toggle.set('aria-label', projector.autoplay() ? 'Pause' : 'Play');
+
+                // Templates without their own content get a text label
+                if (!parts.toggle.getChildren().length) {
+                    parts.toggle.set('text', projector.autoplay() ? 'Pause' : 'Play');
+                }
+            }
+
+            return this;
+        },
+
+        destroy: function() {
+            if (!this.element()) {
+                return this;
+            }
+
+            // Supplied elements are emptied and handed back, created ones go entirely
+            if (this._protected.created) {
+                this.element().destroy();
+            } else {
+                this.element().empty().removeClass(this.classes.controls);
+            }
+
+            this._protected.parts = {};
+
+            return this;
+        }
+    }),
+
+    // Captions
+    Captions: new Class({
+        _protected: {
+            projector: null,
+
+            element: null,
+
+            fx: null,
+
+            timeout: null
+        },
+
+        // Slide parameters rendered into the overlay, in order, each within an element classed projector-caption-<field>
+        fields: ['title', 'caption', 'credit'],
+
+        initialize: function(parameters) {
+            var projector = parameters.projector;
+
+            this.projector(projector);
+
+            // The overlay joins the container once its children have been taken up as slides
+            projector.addEvent(ProjectorNS.READY, this.initDisplay.bind(this));
+            projector.addEvent(ProjectorNS.WILL_TRANSITION_OUT, this.hide.bind(this));
+            projector.addEvent(ProjectorNS.WILL_TRANSITION_IN, this.show.bind(this));
+
+            return this;
+        },
+
+        projector: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.projector = value;
+            }
+
+            return this._protected.projector;
+        },
+
+        element: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.element = value;
+            }
+
+            return this._protected.element;
+        },
+
+        fx: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.fx = value;
+            }
+
+            return this._protected.fx;
+        },
+
+        timeout: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.timeout = value;
+            }
+
+            return this._protected.timeout;
+        },
+
+        initDisplay: function() {
+            var projector = this.projector();
+
+            this.element(new Element('div', {
+                'class': 'projector-caption',
+                'aria-live': 'off',
+                'styles': {
+                    'position': 'absolute',
+                    'z-index': 10,
+                    'display': 'none',
+                    'opacity': 0
+                }
+            }).inject(projector.container().element(), 'bottom'));
+
+            this.fx(projector.morph(this.element(), {
+                'duration': projector.accessor('caption_duration') * 1000,
+                'transition': projector.easing(),
+                'link': 'cancel'
+            }));
+
+            return this;
+        },
+
+        anchor: function(slide) {
+            var anchor = slide.accessor('caption_anchor') || this.projector().accessor('caption_anchor');
+
+            if (typeof anchor === 'string') {
+                anchor = anchor.split(',').map(function(point) {
+                    return point.replace(/\s/g, '');
+                });
+            }
+
+            return anchor.invoke('toUpperCase');
+        },
+
+        hide: function(slide) {
+            clearTimeout(this.timeout());
+
+            if (this.element()) {
+                this.fx().start({
+                    'opacity': 0
+                });
+            }
+
+            return this;
+        },
+
+        show: function(slide) {
+            clearTimeout(this.timeout());
+
+            this.timeout(this.render.delay(this.projector().accessor('caption_delay') * 1000, this, slide));
+
+            return this;
+        },
+
+        render: function(slide) {
+            var element = this.element(),
+                anchor = this.anchor(slide),
+                empty = true;
+
+            if (!element) {
+                return this;
+            }
+
+            element.empty();
+
+            this.fields.each(function(field) {
+                if (slide.accessor(field)) {
+                    empty = false;
+
+                    new Element('div', {
+                        'class': 'projector-caption-' + field,
+                        'text': slide.accessor(field)
+                    }).inject(element);
+                }
+            });
+
+            // Slides without a caption leave the overlay hidden
+            if (empty) {
+                element.setStyles({
+                    'display': 'none',
+                    'opacity': 0
+                });
+
+                return this;
+            }
+
+            element.setStyles({
+                'display': 'block',
+                'top': 'auto',
+                'bottom': 'auto',
+                'left': 'auto',
+                'right': 'auto',
+                'margin-top': 0,
+                'text-align': 'left'
+            });
+
+            // Tether the overlay as anchor does for images
+            if (anchor.indexOf('LEFT') >= 0) {
+                element.setStyle('left', 0);
+            } else if (anchor.indexOf('RIGHT') >= 0) {
+                element.setStyles({
+                    'right': 0,
+                    'text-align': 'right'
+                });
+            } else {
+                element.setStyles({
+                    'left': 0,
+                    'right': 0,
+                    'text-align': 'center'
+                });
+            }
+
+            if (anchor.indexOf('TOP') >= 0) {
+                element.setStyle('top', 0);
+            } else if (anchor.indexOf('BOTTOM') >= 0) {
+                element.setStyle('bottom', 0);
+            } else {
+                element.setStyles({
+                    'top': '50%',
+                    'margin-top': -(element.getSize().y / 2) + 'px'
+                });
+            }
+
+            this.fx().start({
+                'opacity': [0, 1]
+            });
+
+            return this;
+        },
+
+        destroy: function() {
+            clearTimeout(this.timeout());
+
+            if (this.element()) {
+                this.fx().cancel();
+
+                this.element().destroy();
+            }
+
+            return this;
+        }
+    }),
+
+    // History
+    History: new Class({
+        _protected: {
+            projector: null,
+
+            mode: null,
+
+            key: null,
+
+            handler: null
+        },
+
+        initialize: function(parameters) {
+            var projector = parameters.projector,
+                mode = projector.history() === true ? 'HASH' : String(projector.history()).toUpperCase();
+
+            this.projector(projector);
+
+            if (!['HASH', 'PUSH', 'REPLACE'].contains(mode)) {
+                projector.log('History mode ' + mode + ' is invalid, switching to HASH.');
+
+                mode = 'HASH';
+            }
+
+            if (mode !== 'HASH' && !(window.history && window.history.pushState)) {
+                projector.log('History API unavailable, switching to HASH.');
+
+                mode = 'HASH';
+            }
+
+            this.mode(mode);
+            this.key(projector.historyKey() || projector.container().element().get('id') || 'projector');
+
+            // Back and forward navigate between slides
+            Object.append(Element.NativeEvents, {
+                'popstate': 2,
+                'hashchange': 1
+            });
+
+            this.handler(this.navigate.bind(this));
+
+            window.addEvent(mode === 'HASH' ? 'hashchange' : 'popstate', this.handler());
+
+            projector.addEvent(ProjectorNS.HAS_TRANSITIONED_IN, this.record.bind(this));
+
+            return this;
+        },
+
+        projector: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.projector = value;
+            }
+
+            return this._protected.projector;
+        },
+
+        mode: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.mode = value;
+            }
+
+            return this._protected.mode;
+        },
+
+        key: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.key = value;
+            }
+
+            return this._protected.key;
+        },
+
+        handler: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.handler = value;
+            }
+
+            return this._protected.handler;
+        },
+
+        parse: function(string) {
+            var parameters = {};
+
+            string.replace(/^[#?]/, '').split('&').each(function(pair) {
+                if (pair) {
+                    pair = pair.split('=');
+
+                    parameters[decodeURIComponent(pair.shift())] = pair.length ? decodeURIComponent(pair.join('=')) : null;
+                }
+            });
+
+            return parameters;
+        },
+
+        serialize: function(parameters) {
+            var pairs = [];
+
+            // Parameters without values (plain anchors) are written back as found
+            Object.each(parameters, function(value, key) {
+                pairs.push(encodeURIComponent(key) + (value === null ? '' : '=' + encodeURIComponent(value)));
+            });
+
+            return pairs.join('&');
+        },
+
+        location: function() {
+            return this.parse(this.mode() === 'HASH' ? window.location.hash : window.location.search);
+        },
+
+        identify: function(slide) {
+            var projector = this.projector();
+
+            // Slides are keyed by name, as the projector names them, then by position, keeping links short and #2 style links working
+            return projector.name(slide) || String(projector.stack().indexOf(slide) + 1);
+        },
+
+        requested: function() {
+            var value = this.location()[this.key()],
+                stack = this.projector().stack();
+
+            if (!value) {
+                return null;
+            }
+
+            return stack.filter(function(slide) {
+                return this.identify(slide) === value;
+            }.bind(this)).pick() || (value.match(/^\d+$/) ? stack[value.toInt() - 1] : null) || null;
+        },
+
+        record: function(slide) {
+            var projector = this.projector(),
+                parameters = this.location(),
+                url;
+
+            if (parameters[this.key()] === this.identify(slide)) {
+                return this;
+            }
+
+            parameters[this.key()] = this.identify(slide);
+
+            // Autoplay replaces the current entry so that back leaves the page rather than stepping through the show
+            if (this.mode() === 'HASH') {
+                url = window.location.href.split('#')[0] + '#' + this.serialize(parameters);
+
+                if (projector.autoplay() || !this.location()[this.key()]) {
+                    window.location.replace(url);
+                } else {
+                    window.location.hash = this.serialize(parameters);
+                }
+            } else {
+                url = window.location.pathname + '?' + this.serialize(parameters) + window.location.hash;
+
+                if (this.mode() === 'PUSH' && !projector.autoplay() && this.location()[this.key()]) {
+                    window.history.pushState({
+                        'projector': this.key()
+                    }, document.title, url);
+                } else {
+                    window.history.replaceState({
+                        'projector': this.key()
+                    }, document.title, url);
+                }
+            }
+
+            return this;
+        },
+
+        navigate: function() {
+            var projector = this.projector(),
+                slide = this.requested(),
+                play = function() {
+                    slide.removeEvent(ProjectorNS.COMPLETE, play);
+
+                    projector.play(slide);
+                };
+
+            if (!slide || slide === projector.active() || !projector.active()) {
+                return;
+            }
+
+            projector.log('Navigating to slide ' + this.identify(slide) + ' from history.');
+
+            if (slide.complete()) {
+                projector.play(slide);
+            } else {
+                slide.addEvent(ProjectorNS.COMPLETE, play);
+
+                if (!slide.element()) {
+                    slide.load();
+                }
+            }
+        },
+
+        destroy: function() {
+            window.removeEvent(this.mode() === 'HASH' ? 'hashchange' : 'popstate', this.handler());
+
+            return this;
+        }
+    }),
+
+    // Ken Burns
+    KenBurns: new Class({
+        _protected: {
+            projector: null,
+
+            // Bound projector listeners, kept so they can be removed on destroy
+            handlers: null
+        },
+
+        // Anchor points a randomised path may start or finish on
+        anchors: [
+            ['TOP', 'LEFT'], ['TOP', 'CENTRE'], ['TOP', 'RIGHT'],
+            ['CENTRE', 'LEFT'], ['CENTRE', 'CENTRE'], ['CENTRE', 'RIGHT'],
+            ['BOTTOM', 'LEFT'], ['BOTTOM', 'CENTRE'], ['BOTTOM', 'RIGHT']
+        ],
+
+        initialize: function(parameters) {
+            var projector = parameters.projector;
+
+            this.projector(projector);
+
+            this.handlers({
+                'start': this.start.bind(this),
+                'stop': this.stop.bind(this)
+            });
+
+            projector.addEvent(ProjectorNS.WILL_TRANSITION_IN, this.handlers().start);
+            projector.addEvent(ProjectorNS.HAS_TRANSITIONED_OUT, this.handlers().stop);
+
+            return this;
+        },
+
+        projector: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.projector = value;
+            }
+
+            return this._protected.projector;
+        },
+
+        handlers: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.handlers = value;
+            }
+
+            return this._protected.handlers;
+        },
+
+        applies: function(slide) {
+            return slide.element() && slide.element().get('tag') === 'img' && slide.fit() === 'COVER' && !!(this.projector().kenburns() || slide.accessor('kenburns_from') || slide.accessor('kenburns_to'));
+        },
+
+        point: function(value, avoid) {
+            var point = {
+                    'anchor': [],
+                    'scale': null
+                },
+                anchors = this.anchors;
+
+            if (typeof value === 'string') {
+                value = value.split(',');
+            }
+
+            (value || []).each(function(token) {
+                token = String(token).replace(/\s/g, '').toUpperCase();
+
+                if (token.match(/^[\d.]+$/)) {
+                    point.scale = token.toFloat();
+                } else if (token && token !== 'RANDOM') {
+                    point.anchor.push(token);
+                }
+            });
+
+            // Randomise whatever was left unspecified, moving away from the other end of the path
+            if (point.anchor.length === 0) {
+                if (avoid) {
+                    anchors = anchors.filter(function(anchor) {
+                        return anchor.join() !== avoid.anchor.join();
+                    });
+                }
+
+                point.anchor = anchors.getRandom();
+            }
+
+            if (point.scale === null) {
+                point.scale = Number.random(100, this.projector().kenburnsScale() * 100) / 100;
+            }
+
+            return point;
+        },
+
+        start: function(slide) {
+            var projector = this.projector(),
+                dimensions = projector.container().element().getSize(),
+                from, to, fx;
+
+            if (!this.applies(slide)) {
+                return this;
+            }
+
+            this.stop(slide);
+
+            from = this.point(slide.accessor('kenburns_from'));
+            to = this.point(slide.accessor('kenburns_to'), from);
+
+            from = slide.geometry(dimensions.x, dimensions.y, from.anchor, from.scale);
+            to = slide.geometry(dimensions.x, dimensions.y, to.anchor, to.scale);
+
+            // Motion spans the inbound transition, the display time and the outbound transition
+            fx = projector.effect(projector.morph(slide.element(), {
+                'duration': (projector.duration(slide) + (projector.accessor('transition_duration') * 2)) * 1000,
+                'transition': Fx.Transitions.linear
+            }));
+
+            slide.element().store('projector:kenburns', fx);
+
+            fx.start({
+                'width': [from.width, to.width],
+                'height': [from.height, to.height],
+                'left': [from.left, to.left],
+                'top': [from.top, to.top]
+            });
+
+            return this;
+        },
+
+        stop: function(slide) {
+            var fx = slide.element() ? slide.element().retrieve('projector:kenburns') : null;
+
+            if (fx) {
+                fx.cancel();
+
+                slide.element().eliminate('projector:kenburns');
+
+                // Settle back to the resting position ready for the slide's next turn
+                this.projector().positionAndScaleSlide(slide);
+            }
+
+            return this;
+        },
+
+        destroy: function() {
+            var projector = this.projector();
+
+            projector.removeEvent(ProjectorNS.WILL_TRANSITION_IN, this.handlers().start);
+            projector.removeEvent(ProjectorNS.HAS_TRANSITIONED_OUT, this.handlers().stop);
+
+            // Running motion is cancelled and its slide settled back to rest
+            projector.stack().each(this.stop, this);
+
+            return this;
+        }
+    }),
+
+    // Filmstrip
+    Filmstrip: new Class({
+        _protected: {
+            projector: null,
+
+            element: null,
+
+            axis: 'x',
+
+            frames: []
+        },
+
+        initialize: function(parameters) {
+            var dimensions;
+
+            this.projector(parameters.projector);
+            this.axis(parameters.axis === 'y' ? 'y' : 'x');
+
+            dimensions = this.projector().container().element().getSize();
+
+            // The strip is the only element animated, frames are laid out along it relative to the stage
+            this.element(new Element('div', {
+                'styles': {
+                    'position': 'absolute',
+                    'top': 0,
+                    'left': 0,
+                    'width': dimensions.x + 'px',
+                    'height': dimensions.y + 'px'
+                }
+            }).inject(this.projector().container().element(), 'top').store('projector:filmstrip', this));
+
+            return this;
+        },
+
+        projector: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.projector = value;
+            }
+
+            return this._protected.projector;
+        },
+
+        element: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.element = value;
+            }
+
+            return this._protected.element;
+        },
+
+        axis: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.axis = value;
+            }
+
+            return this._protected.axis;
+        },
+
+        frames: function() {
+            return this._protected.frames;
+        },
+
+        property: function() {
+            return this.axis() === 'y' ? 'top' : 'left';
+        },
+
+        extent: function() {
+            return this.projector().container().element().getSize()[this.axis()];
+        },
+
+        frame: function(slide, position) {
+            var dimensions = this.projector().container().element().getSize();
+
+            // Each slide sits in a frame the size of the stage so that cropped images don't bleed into their neighbours
+            this.frames().push(new Element('div', {
+                'styles': {
+                    'position': 'absolute',
+                    'overflow': 'hidden',
+                    'top': 0,
+                    'left': 0,
+                    'width': dimensions.x + 'px',
+                    'height': dimensions.y + 'px'
+                }
+            }).setStyle(this.property(), (position * this.extent()) + 'px').grab(slide.element().setStyles({
+                'display': 'block',
+                'opacity': 1
+            })).inject(this.element()));
+
+            return this;
+        },
+
+        scroll: function(distance, outbound, inbound) {
+            var projector = this.projector(),
+                container = projector.container().element(),
+                styles = {},
+                fx;
+
+            fx = projector.effect(projector.morph(this.element(), {
+                'duration': projector.accessor('transition_duration') * 1000,
+                'transition': inbound.easing() || projector.easing()
+            }));
+
+            if (outbound) {
+                // Fire outbound 'WILL' event
+                projector.fireEvent(ProjectorNS.WILL_TRANSITION_OUT, [outbound, projector]);
+            }
+
+            // Before start...
+            fx.addEvent('start', function() {
+                projector.animating(true);
+
+                projector.fireEvent(ProjectorNS.WILL_TRANSITION_IN, [inbound, projector]);
+            });
+
+            // Cleanup
+            fx.addEvent('complete', function() {
+                inbound.element().inject(container, 'top');
+
+                projector.fireEvent(ProjectorNS.HAS_TRANSITIONED_IN, [inbound, projector]);
+
+                if (outbound) {
+                    outbound.element().dispose();
+
+                    projector.fireEvent(ProjectorNS.HAS_TRANSITIONED_OUT, [outbound, projector]);
+                }
+
+                this.destroy();
+
+                projector.animating(false);
+            }.bind(this));
+
+            // Start the strip transition
+            styles[this.property()] = [0, distance * this.extent()];
+
+            fx.start(styles);
+
+            return inbound;
+        },
+
+        cancel: function(inbound) {
+            // Skips to the end of the scroll, leaving the inbound slide on stage
+            this.destroy();
+
+            inbound.element().inject(this.projector().container().element(), 'top');
+
+            return this;
+        },
+
+        destroy: function() {
+            // Slide elements are pulled from their frames before the strip goes so they survive for their next turn
+            this.frames().each(function(frame) {
+                frame.getChildren().dispose();
+            });
+
+            this.element().destroy();
+
+            return this;
+        }
+    }),
+
+    // CSS transition backend, a stand in for Fx.Morph that leaves the animation to the browser
+    CSSMorph: new Class({
+        Implements: [Events],
+
+        // Cubic-bezier equivalents of the Fx.Transitions easings. Bounce, Elastic and Pow have none and stay with Fx.Morph.
+        curves: {
+            'linear': 'linear',
+            'quad:in': 'cubic-bezier(0.55, 0.085, 0.68, 0.53)',
+            'quad:out': 'cubic-bezier(0.25, 0.46, 0.45, 0.94)',
+            'quad:in:out': 'cubic-bezier(0.455, 0.03, 0.515, 0.955)',
+            'cubic:in': 'cubic-bezier(0.55, 0.055, 0.675, 0.19)',
+            'cubic:out': 'cubic-bezier(0.215, 0.61, 0.355, 1)',
+            'cubic:in:out': 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+            'quart:in': 'cubic-bezier(0.895, 0.03, 0.685, 0.22)',
+            'quart:out': 'cubic-bezier(0.165, 0.84, 0.44, 1)',
+            'quart:in:out': 'cubic-bezier(0.77, 0, 0.175, 1)',
+            'quint:in': 'cubic-bezier(0.755, 0.05, 0.855, 0.06)',
+            'quint:out': 'cubic-bezier(0.23, 1, 0.32, 1)',
+            'quint:in:out': 'cubic-bezier(0.86, 0, 0.07, 1)',
+            'sine:in': 'cubic-bezier(0.47, 0, 0.745, 0.715)',
+            'sine:out': 'cubic-bezier(0.39, 0.575, 0.565, 1)',
+            'sine:in:out': 'cubic-bezier(0.445, 0.05, 0.55, 0.95)',
+            'expo:in': 'cubic-bezier(0.95, 0.05, 0.795, 0.035)',
+            'expo:out': 'cubic-bezier(0.19, 1, 0.22, 1)',
+            'expo:in:out': 'cubic-bezier(1, 0, 0, 1)',
+            'circ:in': 'cubic-bezier(0.6, 0.04, 0.98, 0.335)',
+            'circ:out': 'cubic-bezier(0.075, 0.82, 0.165, 1)',
+            'circ:in:out': 'cubic-bezier(0.785, 0.135, 0.15, 0.86)',
+            'back:in': 'cubic-bezier(0.6, -0.28, 0.735, 0.045)',
+            'back:out': 'cubic-bezier(0.175, 0.885, 0.32, 1.275)',
+            'back:in:out': 'cubic-bezier(0.68, -0.55, 0.265, 1.55)'
+        },
+
+        _protected: {
+            element: null,
+
+            duration: 500,
+
+            transition: null,
+
+            // Properties handed to the browser, their target values and the geometry reached through transforms
+            properties: null,
+
+            geometry: null,
+
+            timer: null,
+
+            handler: null
+        },
+
+        initialize: function(element, parameters) {
+            this.element($(element));
+            this.duration((parameters.duration || 0).toInt());
+            this.transition(parameters.transition || Fx.Transitions.linear);
+
+            return this;
+        },
+
+        element: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.element = value;
+            }
+
+            return this._protected.element;
+        },
+
+        duration: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.duration = value;
+            }
+
+            return this._protected.duration;
+        },
+
+        transition: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.transition = value;
+            }
+
+            return this._protected.transition;
+        },
+
+        properties: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.properties = value;
+            }
+
+            return this._protected.properties;
+        },
+
+        geometry: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.geometry = value;
+            }
+
+            return this._protected.geometry;
+        },
+
+        timer: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.timer = value;
+            }
+
+            return this._protected.timer;
+        },
+
+        handler: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.handler = value;
+            }
+
+            return this._protected.handler;
+        },
+
+        supported: function() {
+            var style = document.documentElement.style;
+
+            return 'transition' in style && 'transform' in style;
+        },
+
+        curve: function() {
+            var transition = this.transition(),
+                name = null;
+
+            // Easing functions are traced back to their Fx.Transitions name, strings may be either 'Fx.Transitions.Quad.easeOut' or 'quad:out'
+            if (typeof transition === 'function') {
+                Object.each(Fx.Transitions, function(easing, type) {
+                    type = type.toLowerCase();
+
+                    if (easing === transition) {
+                        name = type === 'linear' ? 'linear' : type + ':in';
+                    } else if (easing.easeIn === transition) {
+                        name = type + ':in';
+                    } else if (easing.easeOut === transition) {
+                        name = type + ':out';
+                    } else if (easing.easeInOut === transition) {
+                        name = type + ':in:out';
+                    }
+                });
+            } else {
+                name = String(transition).replace(/^Fx\.Transitions\./, '').replace(/\.ease(In)?(Out)?$/, function($0, $1, $2) {
+                    return ($1 ? ':in' : '') + ($2 ? ':out' : '');
+                }).toLowerCase();
+
+                if (name !== 'linear' && name.indexOf(':') < 0) {
+                    name += ':in';
+                }
+            }
+
+            return this.curves[name] || null;
+        },
+
+        declare: function(properties) {
+            var element = this.element(),
+                declarations = element.retrieve('projector:transitions', {});
+
+            // Several effects may share an element, Ken Burns and a crossfade for one, so declarations are pooled per element
+            Object.each(properties, function(value, property) {
+                if (value) {
+                    declarations[property] = property + ' ' + this.duration() + 'ms ' + value;
+                } else {
+                    delete declarations[property];
+                }
+            }, this);
+
+            element.store('projector:transitions', declarations);
+
+            element.setStyles({
+                'transition': Object.values(declarations).join(', '),
+                'will-change': Object.keys(declarations).join(', ')
+            });
+
+            return this;
+        },
+
+        set: function(property, value) {
+            // Element.setStyle hides elements at zero opacity, which would cut a fade out short
+            if (property === 'opacity') {
+                this.element().setStyle('visibility', 'visible');
+                this.element().style.opacity = value;
+            } else {
+                this.element().setStyle(property, value);
+            }
+
+            return this;
+        },
+
+        start: function(properties) {
+            var element = this.element(),
+                from = {},
+                to = {},
+                geometry = {},
+                declarations = {},
+                offset;
+
+            this.cancel();
+
+            this.fireEvent('start', element);
+
+            Object.each(properties, function(value, property) {
+                value = Array.from(value);
+
+                from[property] = value.length > 1 ? value[0] : element.getComputedStyle(property);
+                to[property] = value.getLast();
+            });
+
+            // Positions and sizes are set at once and animated back from the start as a transform, which the browser can composite
+            ['left', 'top', 'width', 'height'].each(function(property) {
+                if (typeof to[property] !== 'undefined') {
+                    geometry[property] = to[property];
+
+                    delete to[property];
+                }
+            });
+
+            if (Object.getLength(geometry) > 0) {
+                offset = {
+                    'x': typeof geometry.left !== 'undefined' ? String(from.left).toFloat() - String(geometry.left).toFloat() : 0,
+                    'y': typeof geometry.top !== 'undefined' ? String(from.top).toFloat() - String(geometry.top).toFloat() : 0,
+                    'width': typeof geometry.width !== 'undefined' ? String(from.width).toFloat() / String(geometry.width).toFloat() : 1,
+                    'height': typeof geometry.height !== 'undefined' ? String(from.height).toFloat() / String(geometry.height).toFloat() : 1
+                };
+
+                element.setStyles(Object.map(geometry, function(value) {
+                    return String(value).toFloat() + 'px';
+                })).setStyles({
+                    'transform-origin': '0 0',
+                    'transform': 'translate(' + offset.x + 'px, ' + offset.y + 'px) scale(' + offset.width + ', ' + offset.height + ')'
+                });
+
+                to.transform = 'translate(0px, 0px) scale(1, 1)';
+            }
+
+            Object.each(to, function(value, property) {
+                if (property !== 'transform') {
+                    this.set(property, from[property]);
+                }
+
+                declarations[property.hyphenate()] = this.curve();
+            }, this);
+
+            this.properties(to);
+            this.geometry(geometry);
+
+            // Reading layout commits the starting values before the transition is declared
+            element.offsetWidth;
+
+            this.declare(declarations);
+
+            Object.each(to, function(value, property) {
+                this.set(property, value);
+            }, this);
+
+            // Completion comes from transitionend, with a timer for when the browser has nothing to animate
+            this.handler(function(event) {
+                if (event.target === element && declarations.hasOwnProperty(event.event.propertyName)) {
+                    this.complete();
+                }
+            }.bind(this));
+
+            Element.NativeEvents.transitionend = 2;
+
+            element.addEvent('transitionend', this.handler());
+
+            this.timer(this.complete.delay(this.duration() + 50, this));
+
+            return this;
+        },
+
+        stop: function() {
+            var element = this.element(),
+                declarations = {};
+
+            clearTimeout(this.timer());
+
+            element.removeEvent('transitionend', this.handler());
+
+            Object.each(this.properties(), function(value, property) {
+                declarations[property.hyphenate()] = null;
+            });
+
+            this.declare(declarations);
+
+            this.properties(null);
+
+            return this;
+        },
+
+        complete: function() {
+            if (!this.properties()) {
+                return this;
+            }
+
+            if (this.properties().transform) {
+                this.element().setStyles({
+                    'transform': '',
+                    'transform-origin': ''
+                });
+            }
+
+            // Handing the final opacity back to setStyle restores its visibility rules
+            if (typeof this.properties().opacity !== 'undefined') {
+                this.element().setStyle('opacity', this.properties().opacity);
+            }
+
+            this.stop();
+
+            this.fireEvent('complete', this.element());
+
+            return this;
+        },
+
+        cancel: function() {
+            var element = this.element(),
+                computed, matrix, geometry = this.geometry();
+
+            if (!this.properties()) {
+                return this;
+            }
+
+            // Values are frozen where they stand, as Fx.Morph leaves them when cancelled
+            computed = window.getComputedStyle(element, null);
+
+            Object.each(this.properties(), function(value, property) {
+                if (property !== 'transform') {
+                    this.set(property, computed[property.camelCase()]);
+                }
+            }, this);
+
+            // Transforms are folded back into the position and size they stand for
+            if (this.properties().transform) {
+                matrix = (computed.transform.match(/matrix\(([^)]+)\)/) || [null, '1, 0, 0, 1, 0, 0'])[1].split(',').invoke('toFloat');
+
+                element.setStyles({
+                    'transform': '',
+                    'transform-origin': ''
+                });
+
+                if (typeof geometry.left !== 'undefined') {
+                    element.setStyle('left', (String(geometry.left).toFloat() + matrix[4]) + 'px');
+                }
+
+                if (typeof geometry.top !== 'undefined') {
+                    element.setStyle('top', (String(geometry.top).toFloat() + matrix[5]) + 'px');
+                }
+
+                if (typeof geometry.width !== 'undefined') {
+                    element.setStyle('width', (String(geometry.width).toFloat() * matrix[0]) + 'px');
+                }
+
+                if (typeof geometry.height !== 'undefined') {
+                    element.setStyle('height', (String(geometry.height).toFloat() * matrix[3]) + 'px');
+                }
+            }
+
+            this.stop();
+
+            this.fireEvent('cancel', element);
+
+            return this;
+        }
+    }),
+
+    // Shared autoplay clock for instances that change slide together
+    Group: new Class({
+        _parameters: {
+            // Optional: (Float) Seconds between each member changing slide, in the order they joined. 0 changes them in lockstep.
+            stagger: 0,
+            // Optional: (Float) Seconds between changes. Null takes the display duration of whichever member starts the clock.
+            duration: null
+        },
+        _protected: {
+            members: [],
+            timeout: null,
+            deadline: null
+        },
+
+        initialize: function(parameters) {
+            parameters = parameters || {};
+
+            for (var parameter in this._parameters) {
+                if (typeof parameters[parameter] !== 'undefined') {
+                    this._parameters[parameter] = parameters[parameter];
+                }
+            }
+
+            return this;
+        },
+
+        stagger: function(value) {
+            if (typeof value !== 'undefined') {
+                this._parameters.stagger = value;
+            }
+
+            return this._parameters.stagger;
+        },
+
+        duration: function(value) {
+            if (typeof value !== 'undefined') {
+                this._parameters.duration = value;
+            }
+
+            return this._parameters.duration;
+        },
+
+        members: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.members = value;
+            }
+
+            return this._protected.members;
+        },
+
+        timeout: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.timeout = value;
+            }
+
+            return this._protected.timeout;
+        },
+
+        deadline: function(value) {
+            if (typeof value !== 'undefined') {
+                this._protected.deadline = value;
+            }
+
+            return this._protected.deadline;
+        },
+
+        join: function(projector) {
+            this.members().include(projector);
+
+            return this;
+        },
+
+        leave: function(projector) {
+            this.members().erase(projector);
+
+            return this.release(projector);
+        },
+
+        offset: function(projector) {
+            return Math.max(0, this.members().indexOf(projector)) * this.stagger();
+        },
+
+        // Starts the clock where it isn't already running and returns the time at which the member will change slide
+        sync: function(projector, seconds) {
+            if (!this.timeout()) {
+                seconds = this.duration() !== null ? this.duration() : seconds;
+
+                this.deadline(new Date().getTime() + seconds * 1000);
+
+                this.timeout(this.fire.delay(seconds * 1000, this));
+            }
+
+            return this.deadline() + this.offset(projector) * 1000;
+        },
+
+        // Stops the clock once no member is waiting on it
+        release: function(projector) {
+            if (this.timeout() && !this.members().some(function(member) {
+                return member.deadline();
+            })) {
+                clearTimeout(this.timeout());
 
-                    if (this.anchor().indexOf('TOP') >= 0) {
-                        this.element().setStyles({
-                            'top': top + 'px'
-                        });
-                    } else if (this.anchor().indexOf('BOTTOM') >= 0) {
-                        this.element().setStyles({
-                            'top': (top - (dimensions.y - height)) + 'px'
-                        });
-                    } else {
-                        this.element().setStyles({
-                            'top': (top - ((dimensions.y - height) / 2)) + 'px'
-                        });
-                    }
-                }
+                this.timeout(null);
+                this.deadline(null);
             }
 
             return this;
         },
 
-        log: function(message) {
-            this.debug() && console && console.log(message);
+        fire: function() {
+            this.timeout(null);
+            this.deadline(null);
+
+            // Only members counting down change slide, paused ones sit the round out. Staggered members keep the
+            // change as their own timer, so pausing or paging them before their turn comes still cancels it.
+            this.members().filter(function(member) {
+                return member.deadline();
+            }).each(function(member) {
+                if (this.offset(member) > 0) {
+                    member.timeout(member.play.delay(this.offset(member) * 1000, member));
+                } else {
+                    member.play();
+                }
+            }, this);
+
+            return this;
         }
     }),
 
@@ -964,10 +5006,10 @@ var ProjectorNS = {
         }
 
         // Init the inbound FX
-        fx = new Fx.Morph(inbound.element(), {
+        fx = projector.effect(projector.morph(inbound.element(), {
             'duration': projector.accessor('transition_duration') * 1000,
             'transition': inbound.easing() || projector.easing()
-        });
+        }));
 
         // Before start...
         fx.addEvent('start', function() {
@@ -1006,16 +5048,16 @@ var ProjectorNS = {
         }
 
         // Outbound transition
-        outbound_fx = new Fx.Morph(placeholder || outbound.element(), {
+        outbound_fx = projector.effect(projector.morph(placeholder || outbound.element(), {
             'duration': !placeholder ? (projector.accessor('transition_duration') * 1000) / 2 : 0,
             'transition': inbound.easing() || projector.easing()
-        });
+        }));
 
         // Inbound transition
-        inbound_fx = new Fx.Morph(inbound.element(), {
+        inbound_fx = projector.effect(projector.morph(inbound.element(), {
             'duration': (projector.accessor('transition_duration') * 1000) / 2,
             'transition': inbound.easing() || projector.easing()
-        });
+        }));
 
         // Before start...
         outbound_fx.addEvent('start', function() {
@@ -1063,35 +5105,612 @@ var ProjectorNS = {
         return inbound;
     },
 
-    slideLeft: function(projector, outbound, inbound) {
+    slide: function(projector, outbound, inbound, axis, direction) {
+        var filmstrip;
+
+        direction = direction || -1;
+
+        // Replaying the active slide has nothing to push against
+        if (outbound === inbound) {
+            return inbound;
+        }
+
+        filmstrip = new ProjectorNS.Filmstrip({
+            'projector': projector,
+            'axis': axis
+        });
+
+        // The inbound slide waits one container width (or height) behind the direction of travel
+        filmstrip.frame(inbound, -direction);
+
+        if (outbound) {
+            filmstrip.frame(outbound, 0);
+        }
 
+        return filmstrip.scroll(direction, outbound, inbound);
     },
 
-    slideRight: function(projector, outbound, inbound) {
+    slideLeft: function(projector, outbound, inbound) {
+        return ProjectorNS.slide(projector, outbound, inbound, 'x', -1);
+    },
 
+    slideRight: function(projector, outbound, inbound) {
+        return ProjectorNS.slide(projector, outbound, inbound, 'x', 1);
     },
 
     slideUp: function(projector, outbound, inbound) {
-
+        return ProjectorNS.slide(projector, outbound, inbound, 'y', -1);
     },
 
     slideDown: function(projector, outbound, inbound) {
+        return ProjectorNS.slide(projector, outbound, inbound, 'y', 1);
+    },
 
+    carousel: function(projector, outbound, inbound, axis, direction) {
+        var stack = projector.stack(),
+            from = stack.indexOf(outbound),
+            to = stack.indexOf(inbound),
+            forward = (to - from + stack.length) % stack.length,
+            sign = forward <= stack.length - forward ? 1 : -1,
+            steps = sign > 0 ? forward : stack.length - forward,
+            filmstrip, path = [];
+
+        direction = direction || -1;
+
+        // Without a slide on stage (or a slide to move to) there is no strip to scroll
+        if (!outbound || from < 0 || to < 0 || outbound === inbound) {
+            return ProjectorNS.slide(projector, outbound, inbound, axis, direction);
+        }
+
+        // Walk the shortest way around the loop, collecting any intermediate slides that are ready for display
+        for (var i = 0; i <= steps; i++) {
+            var slide = stack[(from + (i * sign) + stack.length) % stack.length];
+
+            if (slide === outbound || slide === inbound || (slide.complete() && slide.element())) {
+                path.push(slide);
+            }
+        }
+
+        filmstrip = new ProjectorNS.Filmstrip({
+            'projector': projector,
+            'axis': axis
+        });
+
+        path.each(function(slide, position) {
+            if (slide !== outbound && slide !== inbound) {
+                projector.positionAndScaleSlide(slide);
+            }
+
+            filmstrip.frame(slide, position * -direction * sign);
+        });
+
+        return filmstrip.scroll((path.length - 1) * direction * sign, outbound, inbound);
     },
 
     carouselLeft: function(projector, outbound, inbound) {
-
+        return ProjectorNS.carousel(projector, outbound, inbound, 'x', -1);
     },
 
     carouselRight: function(projector, outbound, inbound) {
-
+        return ProjectorNS.carousel(projector, outbound, inbound, 'x', 1);
     },
 
     carouselUp: function(projector, outbound, inbound) {
-
+        return ProjectorNS.carousel(projector, outbound, inbound, 'y', -1);
     },
 
     carouselDown: function(projector, outbound, inbound) {
+        return ProjectorNS.carousel(projector, outbound, inbound, 'y', 1);
+    }
+};
+
+/*
+ * Transition registry. A transition is either a function, taken as its start, or an object with:
+ *
+ *  start(projector, outbound, inbound)     Required. Animates the inbound slide on and the outbound slide (which may be null) off,
+ *                                          returning the slide left on stage. Must set projector.animating() to true as it begins and
+ *                                          false once done, firing the WILL and HAS transition events on the way.
+ *  complete(projector, outbound, inbound)  Optional. Called once the transition has run to its end.
+ *  cancel(projector, outbound, inbound)    Optional. Called when a request interrupts the transition, after any effects it registered
+ *                                          through projector.effect() while starting have been cancelled. Should leave the stage as the
+ *                                          transition would have on completion, the projector then fires the outstanding HAS events.
+ */
+ProjectorNS.transitions = {};
+
+ProjectorNS.registerTransition = function(name, transition) {
+    if (typeOf(transition) === 'function') {
+        transition = {
+            'start': transition
+        };
+    }
+
+    ProjectorNS.transitions[String(name).toLowerCase()] = transition;
+
+    return transition;
+};
+
+ProjectorNS.registerTransition('crossfade', {
+    'start': ProjectorNS.crossfade,
+    'cancel': function(projector, outbound, inbound) {
+        inbound.element().setStyle('opacity', 1);
+
+        if (outbound) {
+            outbound.element().dispose();
+        }
+    }
+});
+
+ProjectorNS.registerTransition('fade', {
+    'start': ProjectorNS.fade,
+    'cancel': function(projector, outbound, inbound) {
+        if (outbound) {
+            outbound.element().dispose();
+        }
+
+        // Interrupted while fading out, the inbound slide has yet to reach the stage
+        if (!inbound.element().getParent()) {
+            inbound.element().setStyle('display', 'block').inject(projector.container().element(), 'top');
+
+            projector.fireEvent(ProjectorNS.WILL_TRANSITION_IN, [inbound, projector]);
+        }
+
+        inbound.element().setStyle('opacity', 1);
+    }
+});
+
+// Strip based transitions share a cancel, snapping the strip to its end
+['slide', 'slideLeft', 'slideRight', 'slideUp', 'slideDown', 'carousel', 'carouselLeft', 'carouselRight', 'carouselUp', 'carouselDown'].each(function(name) {
+    ProjectorNS.registerTransition(name, {
+        'start': ProjectorNS[name],
+        'cancel': function(projector, outbound, inbound) {
+            var frame = inbound.element().getParent();
+
+            if (frame && frame.getParent() && frame.getParent().retrieve('projector:filmstrip')) {
+                frame.getParent().retrieve('projector:filmstrip').cancel(inbound);
+            }
+        }
+    });
+});
+
+// Named groups, see ProjectorNS.Group and the group parameter
+ProjectorNS.groups = {};
+
+// Shared window resize listener, throttled so that resizing the window repositions every instance at most once per interval
+ProjectorNS.Viewport = {
+    // Milliseconds between notifications while the window is being resized
+    interval: 100,
+
+    listeners: [],
+
+    handler: null,
+
+    timeout: null,
+
+    subscribe: function(listener) {
+        this.listeners.include(listener);
+
+        if (!this.handler) {
+            this.handler = this.resize.bind(this);
+
+            window.addEvent('resize', this.handler);
+        }
+
+        return this;
+    },
+
+    unsubscribe: function(listener) {
+        this.listeners.erase(listener);
+
+        // The last instance to go takes the window listener with it
+        if (this.listeners.length === 0 && this.handler) {
+            window.removeEvent('resize', this.handler);
+            clearTimeout(this.timeout);
+
+            this.handler = null;
+            this.timeout = null;
+        }
+
+        return this;
+    },
+
+    resize: function() {
+        if (!this.timeout) {
+            this.timeout = this.notify.delay(this.interval, this);
+        }
+
+        return this;
+    },
+
+    notify: function() {
+        this.timeout = null;
+
+        this.listeners.slice().each(function(listener) {
+            listener();
+        });
+
+        return this;
+    }
+};
+
+// Reads an element's data attributes as parameters, data-display-duration becoming display_duration
+ProjectorNS.dataset = function(element) {
+    var parameters = {};
+
+    for (var attribute, i = 0, attributes = element.attributes, l = attributes.length; i < l; i++) {
+        attribute = attributes.item(i);
+        if (attribute.nodeName.match(/^data/)) {
+            parameters[attribute.nodeName.replace(/^data-([\-_a-z0-9]+)$/i, '$1').replace(/-/g, '_').toLowerCase()] = attribute.nodeValue;
+        }
+    }
+
+    return parameters;
+};
+
+// Converts an attribute value to the type of the parameter's default. Parameters without one (null) take booleans,
+// numbers and JSON as such, and bare attributes as true, anything else stays a string.
+ProjectorNS.coerce = function(value, model) {
+    value = String(value).trim();
+
+    switch (typeOf(model)) {
+    case 'boolean':
+        // A bare attribute (data-autoplay) reads as true
+        return !['false', '0', 'no', 'off'].contains(value.toLowerCase());
+
+    case 'number':
+        return isNaN(value.toFloat()) ? model : value.toFloat();
+
+    case 'array':
+        return value.charAt(0) === '[' ? JSON.decode(value, true) : value.split(',').map(String.trim);
+
+    case 'object':
+        return JSON.decode(value, true);
+
+    case 'null':
+        // A bare attribute (data-controls) switches the feature on with its defaults
+        if (value === '') {
+            return true;
+        }
+
+        if (['true', 'false'].contains(value.toLowerCase())) {
+            return value.toLowerCase() === 'true';
+        }
+
+        if (value !== '' && !isNaN(Number(value))) {
+            return Number(value);
+        }
+
+        if (['{', '['].contains(value.charAt(0))) {
+            return JSON.decode(value, true);
+        }
+    }
+
+    return value;
+};
 
+/*
+ * Declarative initialisation. Every element within scope (the document by default) carrying data-projector becomes the
+ * container of an instance whose parameters are read from its own data attributes, for example:
+ *
+ *  <div id="stage" data-projector data-transition="fade" data-display-duration="6" data-autoplay="false">...</div>
+ *  <div data-projector data-follow="stage">...</div>
+ *
+ * Values are converted to the type of each parameter's default and unknown attributes are ignored. data-follow names the
+ * leader's container by id, leaders are initialised first wherever they sit in the page.
+ * Elements already holding an instance are passed over, so bootstrap may be run again as content is added.
+ * Returns the instances created, each also available through element.retrieve('projector').
+ */
+ProjectorNS.bootstrap = function(scope) {
+    var instances = [],
+        defaults = Projector.prototype._parameters,
+        // Functions and slide objects cannot be written as attributes, the container itself is the target
+        excluded = ['target', 'queue', 'preloader'],
+        initialise;
+
+    initialise = function(element) {
+        var data = ProjectorNS.dataset(element),
+            parameters = {},
+            leader;
+
+        if (element.retrieve('projector') || element.retrieve('projector:bootstrapping')) {
+            return element.retrieve('projector');
+        }
+
+        element.store('projector:bootstrapping', true);
+
+        Object.each(data, function(value, parameter) {
+            if (!excluded.contains(parameter) && defaults.hasOwnProperty(parameter)) {
+                parameters[parameter] = ProjectorNS.coerce(value, defaults[parameter]);
+            }
+        });
+
+        if (parameters.follow) {
+            leader = $(String(parameters.follow));
+
+            parameters.follow = leader && leader.hasAttribute('data-projector') ? initialise(leader) : leader && leader.retrieve('projector');
+
+            if (!parameters.follow) {
+                delete parameters.follow;
+            }
+        }
+
+        parameters.target = element;
+
+        // One broken container shouldn't stop the rest of the page, the failure is reported on the container itself
+        try {
+            instances.push(new Projector(parameters));
+        } catch (error) {
+            element.fireEvent(ProjectorNS.ERROR, [error, element]);
+        }
+
+        element.eliminate('projector:bootstrapping');
+
+        return element.retrieve('projector');
+    };
+
+    $(scope || document).getElements('[data-projector]').each(initialise);
+
+    return instances;
+};
+
+window.addEvent('domready', function() {
+    ProjectorNS.bootstrap();
+});
+
+// Remote slide sources
+ProjectorNS.Source = new Class({
+    _protected: {
+        // URL of the next page, null once the source is exhausted
+        next: null,
+
+        // Number of the last page requested, for adapters that count pages
+        page: 1,
+
+        loading: false,
+
+        exhausted: false
+    },
+
+    // Slide parameters mapped to entry fields, alternatives are separated by | and tried in order
+    fields: {},
+
+    // Adapter specific options
+    options: {},
+
+    initialize: function(parameters) {
+        this.fields = Object.merge({}, this.fields, parameters.fields || {});
+        this.options = Object.merge({}, this.options, parameters.options || {});
+
+        this.next(parameters.url);
+
+        return this;
+    },
+
+    next: function(value) {
+        if (typeof value !== 'undefined') {
+            this._protected.next = value;
+        }
+
+        return this._protected.next;
+    },
+
+    loading: function(value) {
+        if (typeof value !== 'undefined') {
+            this._protected.loading = value;
+        }
+
+        return this._protected.loading;
+    },
+
+    exhausted: function(value) {
+        if (typeof value !== 'undefined') {
+            this._protected.exhausted = value;
+        }
+
+        return this._protected.exhausted;
+    },
+
+    fetch: function(success, failure) {
+        if (this.loading() || this.exhausted()) {
+            return this;
+        }
+
+        this.loading(true);
+
+        this.request(this.next(), function(entries, next) {
+            this.loading(false);
+
+            this.next(next || null);
+            this.exhausted(!next);
+
+            // Entries without a target can't become slides
+            success(entries.map(this.map.bind(this)).filter(function(parameters) {
+                return !!parameters.target;
+            }));
+        }.bind(this), function(message) {
+            this.loading(false);
+
+            failure(message);
+        }.bind(this));
+
+        return this;
+    },
+
+    // Fetches the page at url, calling success with the raw entries and the next page's url (if any) or failure with a message
+    request: function(url, success, failure) {
+        failure('Source adapters must implement request().');
+    },
+
+    // Returns the value at path within an entry, or null
+    resolve: function(entry, path) {
+        return null;
+    },
+
+    map: function(entry) {
+        var parameters = {};
+
+        Object.each(this.fields, function(path, parameter) {
+            var value = null;
+
+            path.split('|').some(function(alternative) {
+                value = this.resolve(entry, alternative);
+
+                return value !== null && typeof value !== 'undefined' && value !== '';
+            }.bind(this));
+
+            if (value !== null && typeof value !== 'undefined' && value !== '') {
+                parameters[parameter] = value;
+            }
+        }.bind(this));
+
+        return parameters;
+    }
+});
+
+ProjectorNS.Source.JSON = new Class({
+    Extends: ProjectorNS.Source,
+
+    fields: {
+        target: 'src|url|image',
+        srcset: 'srcset|sources',
+        id: 'id',
+        title: 'title',
+        caption: 'caption|description',
+        credit: 'credit',
+        thumbnail: 'thumbnail'
+    },
+
+    options: {
+        // Path to the entry list within the response, ignored where the response is itself a list
+        items: 'items',
+        // Path to the next page's URL within the response
+        next: 'next',
+        // Query parameter used for numbered pages where the response holds no next URL
+        page: null
+    },
+
+    request: function(url, success, failure) {
+        new Request.JSON({
+            'url': url,
+            'method': 'get',
+            'onSuccess': function(response) {
+                var entries = typeOf(response) === 'array' ? response : this.resolve(response, this.options.items),
+                    next = typeOf(response) === 'array' ? null : this.resolve(response, this.options.next);
+
+                if (typeOf(entries) !== 'array') {
+                    return failure('The source response holds no list of entries.');
+                }
+
+                // Numbered pages continue until an empty page comes back
+                if (!next && this.options.page && entries.length > 0) {
+                    this._protected.page++;
+
+                    next = this.paginate(url, this._protected.page);
+                }
+
+                success(entries, next);
+            }.bind(this),
+            'onFailure': function(xhr) {
+                failure('The source request failed with status ' + xhr.status + '.');
+            },
+            'onError': function(text, error) {
+                failure('The source response could not be read: ' + error);
+            }
+        }).send();
+    },
+
+    paginate: function(url, page) {
+        var parameter = encodeURIComponent(this.options.page),
+            pattern = new RegExp('([?&])' + parameter.escapeRegExp() + '=[^&#]*');
+
+        if (pattern.test(url)) {
+            return url.replace(pattern, '$1' + parameter + '=' + page);
+        }
+
+        return url.replace(/(#.*)?$/, (url.contains('?') ? '&' : '?') + parameter + '=' + page + '$1');
+    },
+
+    resolve: function(entry, path) {
+        if (!path) {
+            return null;
+        }
+
+        return path.split('.').every(function(key) {
+            entry = entry !== null && typeof entry === 'object' ? entry[key] : undefined;
+
+            return typeof entry !== 'undefined';
+        }) ? entry : null;
+    }
+});
+
+ProjectorNS.Source.MRSS = new Class({
+    Extends: ProjectorNS.Source,
+
+    // Paths take the form tag or tag@attribute, tags may be namespace prefixed
+    fields: {
+        target: 'media:content@url|enclosure@url',
+        id: 'guid|id',
+        title: 'media:title|title',
+        caption: 'media:description|description|summary',
+        credit: 'media:credit',
+        thumbnail: 'media:thumbnail@url'
+    },
+
+    request: function(url, success, failure) {
+        new Request({
+            'url': url,
+            'method': 'get',
+            'onSuccess': function(text, xml) {
+                var entries, next = null;
+
+                if ((!xml || !xml.documentElement) && window.DOMParser) {
+                    xml = new DOMParser().parseFromString(text, 'text/xml');
+                }
+
+                if (!xml || !xml.documentElement || xml.getElementsByTagName('parsererror').length) {
+                    return failure('The source response could not be read as a feed.');
+                }
+
+                // RSS items or Atom entries
+                entries = Array.from(xml.getElementsByTagName('item'));
+
+                if (entries.length === 0) {
+                    entries = Array.from(xml.getElementsByTagName('entry'));
+                }
+
+                // Paged feeds (RFC 5005) link to their next page
+                Array.from(xml.getElementsByTagName('link')).concat(Array.from(xml.getElementsByTagName('atom:link'))).each(function(link) {
+                    if (!next && link.getAttribute('rel') === 'next' && link.getAttribute('href')) {
+                        next = link.getAttribute('href');
+                    }
+                });
+
+                success(entries, next);
+            },
+            'onFailure': function(xhr) {
+                failure('The source request failed with status ' + xhr.status + '.');
+            }
+        }).send();
+    },
+
+    find: function(entry, tag) {
+        var nodes = entry.getElementsByTagName(tag);
+
+        // Fall back to the local name where the document doesn't expose qualified names
+        if (nodes.length === 0 && tag.contains(':') && entry.getElementsByTagNameNS) {
+            nodes = entry.getElementsByTagNameNS('*', tag.split(':').pop());
+        }
+
+        return nodes[0] || null;
+    },
+
+    resolve: function(entry, path) {
+        var parts = path.split('@'),
+            node = this.find(entry, parts[0]);
+
+        if (!node) {
+            return null;
+        }
+
+        return parts[1] ? node.getAttribute(parts[1]) : (node.textContent || node.text || '').trim();
     }
-};
\ No newline at end of file
+});